@@ -0,0 +1,45 @@
+import { getActorTypeChoices, getActorTypeMusic } from './actor-types.mjs';
+import { VGMusicConfig } from './app.mjs';
+import { resolvePlaylistReference } from './helpers.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Lists the world's actor types with the default combat music of each
+ */
+export class ActorTypeMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'vgmusic-actor-types',
+    window: { title: 'VGMusic.ActorTypes.Title', icon: 'fas fa-users', resizable: true },
+    classes: ['dnd5e2'],
+    position: { width: 520, height: 'auto' },
+    actions: {
+      configureMusic: ActorTypeMusicConfig.configureMusic
+    }
+  };
+
+  /** @override */
+  static PARTS = { main: { template: 'modules/vgmusic/templates/actor-type-config.hbs' } };
+
+  /** @override */
+  _prepareContext(_options) {
+    const types = Object.entries(getActorTypeChoices()).map(([type, label]) => {
+      const music = getActorTypeMusic(type).data.vgmusic.music;
+      const playlists = Object.values(music)
+        .map((section) => resolvePlaylistReference(section?.playlist)?.name)
+        .filter(Boolean);
+      return { type, label, playlists: [...new Set(playlists)].join(', ') };
+    });
+    return { types };
+  }
+
+  /**
+   * Open the music configuration of an actor type
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static configureMusic(_event, target) {
+    const type = target.closest('[data-actor-type]').dataset.actorType;
+    new VGMusicConfig(getActorTypeMusic(type)).render(true);
+  }
+}
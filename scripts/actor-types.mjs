@@ -0,0 +1,71 @@
+import { CONST } from './config.mjs';
+
+/**
+ * Default music for every actor of a type, stored in the actorTypeMusic world setting
+ * @typedef {object} ActorTypeMusic
+ * @property {string} documentName - Always 'ActorType'
+ * @property {string} id - The actor type
+ * @property {string} name - Localized label of the actor type
+ * @property {object} data - Music section data, stored like DefaultMusic under `data.vgmusic.music`
+ */
+
+/**
+ * Get the localized labels of the world's actor types
+ * @returns {Record<string, string>} Labels keyed by actor type
+ */
+export function getActorTypeChoices() {
+  return Object.fromEntries(game.documentTypes.Actor.filter((type) => type !== 'base').map((type) => [type, game.i18n.localize(CONFIG.Actor.typeLabels[type] ?? type)]));
+}
+
+/**
+ * Actor type music entries handed out since the setting last changed
+ * @type {Map<string, ActorTypeMusic>}
+ */
+const actorTypeMusic = new Map();
+
+/**
+ * Get the default music of an actor type
+ * The same entry is returned until the setting changes, so contexts built from it compare equal across refreshes.
+ * Callers must not change it in place.
+ * @param {string} type - The actor type
+ * @returns {ActorTypeMusic} The actor type's music, with empty sections if none is set
+ */
+export function getActorTypeMusic(type) {
+  if (actorTypeMusic.has(type)) return actorTypeMusic.get(type);
+  const stored = game.settings.get(CONST.moduleId, CONST.settings.actorTypeMusic)?.[type];
+  const entry = {
+    documentName: 'ActorType',
+    id: type,
+    name: getActorTypeChoices()[type] ?? type,
+    data: { vgmusic: { music: foundry.utils.deepClone(stored?.data?.vgmusic?.music ?? {}) } }
+  };
+  actorTypeMusic.set(type, entry);
+  return entry;
+}
+
+/**
+ * Forget the actor type music entries handed out, after the setting changed
+ */
+export function resetActorTypeMusic() {
+  actorTypeMusic.clear();
+}
+
+/**
+ * Get every actor type with music configured
+ * @returns {ActorTypeMusic[]} Actor type music entries
+ */
+export function getAllActorTypeMusic() {
+  return Object.keys(game.settings.get(CONST.moduleId, CONST.settings.actorTypeMusic) ?? {}).map(getActorTypeMusic);
+}
+
+/**
+ * Store the default music of an actor type
+ * @param {ActorTypeMusic} entry - The actor type's music
+ */
+export async function saveActorTypeMusic(entry) {
+  const stored = foundry.utils.deepClone(game.settings.get(CONST.moduleId, CONST.settings.actorTypeMusic) ?? {});
+  const music = entry.data?.vgmusic?.music ?? {};
+  if (foundry.utils.isEmpty(music)) delete stored[entry.id];
+  else stored[entry.id] = { data: { vgmusic: { music } } };
+  await game.settings.set(CONST.moduleId, CONST.settings.actorTypeMusic, stored);
+}
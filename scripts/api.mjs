@@ -0,0 +1,200 @@
+import { VGMusicConfig } from './app.mjs';
+import { ReferenceAudit } from './audit-config.mjs';
+import { auditReferences } from './audit.mjs';
+import { BulkMusicConfig } from './bulk-config.mjs';
+import { CONST } from './config.mjs';
+import { MusicDirector } from './director.mjs';
+import { PlaylistContext, resolvePlaylistReference } from './helpers.mjs';
+import { applyImport, exportConfig, planImport, suggestPlaylistMap, validateBundle } from './transfer.mjs';
+
+/**
+ * Find a playlist from a document, ID, UUID or name
+ * @param {Playlist|string} playlist - Playlist reference
+ * @returns {Playlist|null} The playlist or null
+ */
+function resolvePlaylist(playlist) {
+  if (playlist instanceof Playlist) return playlist;
+  if (typeof playlist !== 'string') return null;
+  return resolvePlaylistReference(playlist) ?? game.playlists.getName(playlist) ?? null;
+}
+
+/**
+ * Find a track of a playlist from a document, ID or name
+ * @param {Playlist} playlist - The playlist holding the track
+ * @param {PlaylistSound|string|null} track - Track reference
+ * @returns {PlaylistSound|null} The track or null
+ */
+function resolveTrack(playlist, track) {
+  if (track instanceof PlaylistSound) return track.parent === playlist ? track : null;
+  if (typeof track !== 'string' || !track) return null;
+  return playlist.sounds.get(track) ?? playlist.sounds.getName(track) ?? null;
+}
+
+/**
+ * Build a context from a playlist and track reference
+ * @param {string} type - Context type
+ * @param {Playlist|PlaylistSound|string} playlist - Playlist reference, or a track whose playlist is used
+ * @param {PlaylistSound|string|null} track - Track reference
+ * @returns {PlaylistContext} The built context
+ */
+function buildContext(type, playlist, track) {
+  if (playlist instanceof PlaylistSound) [playlist, track] = [playlist.parent, playlist];
+  const resolved = resolvePlaylist(playlist);
+  if (!resolved) throw new Error(`VGMusic | Playlist not found: ${playlist}`);
+  const resolvedTrack = resolveTrack(resolved, track);
+  if (track && !resolvedTrack) throw new Error(`VGMusic | Track not found in ${resolved.name}: ${track}`);
+  return new PlaylistContext(type, null, resolved, resolvedTrack?.id ?? null, 0, null);
+}
+
+/**
+ * Public API available as `game.vgmusic`
+ *
+ * Other modules can react to music changes through two hooks:
+ * - `vgmusic.preTrackChange(newContext, previousContext)`: return false to veto the change
+ * - `vgmusic.trackChanged(newContext, previousContext)`: called once the controller switched tracks; playback may still be
+ *   waiting for the browser to unlock audio
+ */
+export class VGMusicAPI {
+  /**
+   * @param {MusicController} musicController - The module's music controller
+   */
+  constructor(musicController) {
+    this.musicController = musicController;
+    this.VGMusicConfig = VGMusicConfig;
+    this.MusicDirector = MusicDirector;
+    this.ReferenceAudit = ReferenceAudit;
+    this.BulkMusicConfig = BulkMusicConfig;
+    this.PlaylistContext = PlaylistContext;
+  }
+
+  /**
+   * Play a context now
+   * This is transient: the next automatic refresh, such as a turn change or a token move, replaces it.
+   * Use pushOverride to keep music playing above automatic contexts.
+   * Only the client that controls the music can play, the head GM unless each client plays its viewed scene.
+   * @param {PlaylistContext|{playlist: Playlist|string, track?: PlaylistSound|string}|null} context - Context to play, or null to resume automatic music
+   * @returns {Promise<void>}
+   */
+  async play(context) {
+    if (!game.user.isGM) throw new Error('VGMusic | Only a GM can control music');
+    if (!this.musicController.canControlMusic()) throw new Error('VGMusic | Only the head GM can play music, use pushOverride instead');
+    if (!context) return this.musicController.playCurrentTrack();
+    const playContext = context instanceof PlaylistContext ? context : buildContext('manual', context.playlist, context.track);
+    return this.musicController.playMusic(playContext);
+  }
+
+  /**
+   * Play a playlist above every automatic context until it is popped or expires
+   * @param {Playlist|PlaylistSound|string} playlist - Playlist reference, or a track to play
+   * @param {object} [options] - Override options
+   * @param {PlaylistSound|string} [options.track] - Track to play instead of the playlist's first track
+   * @param {number} [options.duration] - Seconds until the override expires, or 0 to keep it until popped
+   * @returns {Promise<object>} The stored override entry
+   */
+  async pushOverride(playlist, { track = null, duration = 0 } = {}) {
+    if (!game.user.isGM) throw new Error('VGMusic | Only a GM can control music');
+    const context = buildContext('override', playlist, track);
+    return this.musicController.pushOverride(context, { duration });
+  }
+
+  /**
+   * Remove the topmost override and return to the one below it, or to automatic music
+   * @returns {Promise<object|null>} The removed override entry
+   */
+  async popOverride() {
+    if (!game.user.isGM) throw new Error('VGMusic | Only a GM can control music');
+    return this.musicController.popOverride();
+  }
+
+  /**
+   * Remove every override and return to automatic music
+   * @returns {Promise<void>}
+   */
+  async clearOverrides() {
+    if (!game.user.isGM) throw new Error('VGMusic | Only a GM can control music');
+    return this.musicController.clearOverrides();
+  }
+
+  /**
+   * Suppress or restore area or combat music
+   * @param {'area'|'combat'} type - Music type to suppress
+   * @param {boolean} [suppressed] - Whether the music type is suppressed
+   * @returns {Promise<boolean>} The new suppression state
+   */
+  async suppress(type, suppressed = true) {
+    const setting = { area: CONST.settings.suppressArea, combat: CONST.settings.suppressCombat }[type];
+    if (!setting) throw new Error(`VGMusic | Unknown music type: ${type}`);
+    await game.settings.set(CONST.moduleId, setting, !!suppressed);
+    ui.controls?.initialize();
+    return !!suppressed;
+  }
+
+  /**
+   * Get the context currently playing
+   * @returns {PlaylistContext|null} The current context
+   */
+  getCurrentContext() {
+    return this.musicController.currentContext;
+  }
+
+  /**
+   * Assign music to one of a scene's sections
+   * @param {Scene|string} scene - Scene document, ID or name
+   * @param {string} section - Section key, such as 'area' or 'combat'
+   * @param {Playlist|string|null} playlist - Playlist reference, or null to clear the section
+   * @param {PlaylistSound|string|null} [track] - Initial track reference
+   * @returns {Promise<Scene>} The updated scene
+   */
+  async setSceneMusic(scene, section, playlist, track = null) {
+    const document = scene instanceof Scene ? scene : (game.scenes.get(scene) ?? game.scenes.getName(scene));
+    if (!document) throw new Error(`VGMusic | Scene not found: ${scene}`);
+    const sectionConfig = CONST.playlistSections.Scene[section];
+    if (!sectionConfig) throw new Error(`VGMusic | Unknown scene music section: ${section}`);
+    if (!playlist) return document.update({ [`flags.${CONST.moduleId}.music.-=${section}`]: null });
+    const context = buildContext(section, playlist, track);
+    const priority = document.getFlag(CONST.moduleId, `music.${section}.priority`) ?? sectionConfig.priority;
+    return document.update({ [`flags.${CONST.moduleId}.music.${section}`]: { playlist: context.playlist.uuid, initialTrack: context.trackId ?? '', priority } });
+  }
+
+  /**
+   * Export the whole music configuration as a bundle that can be saved as JSON
+   * @returns {object} The configuration bundle
+   */
+  exportConfig() {
+    return exportConfig();
+  }
+
+  /**
+   * Import a music configuration bundle
+   * @param {object} bundle - The configuration bundle
+   * @param {object} [options] - Import options
+   * @param {Record<string, Playlist|string>} [options.playlistMap] - Local playlist references keyed by bundle playlist ID, overriding the automatic matches
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<{documentName: string, name: string, status: string}[]>} The import report
+   */
+  async importConfig(bundle, { playlistMap = {}, dryRun = false } = {}) {
+    if (!game.user.isGM) throw new Error('VGMusic | Only a GM can control music');
+    validateBundle(bundle);
+    const chosen = Object.fromEntries(Object.entries(playlistMap).map(([id, playlist]) => [id, resolvePlaylist(playlist)?.id ?? '']));
+    const plan = planImport(bundle, { ...suggestPlaylistMap(bundle), ...chosen });
+    if (!dryRun) await applyImport(plan);
+    return plan.map(({ entry, status }) => ({ documentName: entry.documentName, name: entry.name, status }));
+  }
+
+  /**
+   * List music pointing at missing playlists or tracks, stale progress records and unreachable sections
+   * @returns {{type: string, documentName: string, name: string, section: string, reference: string}[]} Problems found, with types from CONST.auditProblems
+   */
+  auditReferences() {
+    return auditReferences().map(({ type, documentName, name, section, reference }) => ({ type, documentName, name, section, reference }));
+  }
+
+  /**
+   * Work out which combat music a combatant would provide
+   * @param {Combatant} combatant - The combatant to resolve
+   * @returns {PlaylistContext|null} The combatant's context or null
+   */
+  resolveFor(combatant) {
+    return this.musicController.getCombatantContext(combatant);
+  }
+}
@@ -1,5 +1,12 @@
+import { getActorTypeChoices, saveActorTypeMusic } from './actor-types.mjs';
+import { clearDeletedReferences } from './audit.mjs';
 import { CONST } from './config.mjs';
-import { getProperty } from './helpers.mjs';
+import { MusicDirector } from './director.mjs';
+import { getSeasonChoices } from './environment.mjs';
+import { getHPAttribute, getProperty, isCompendiumReference, isHeadGM, isPartyToken, resolvePlaylistReference } from './helpers.mjs';
+import { saveLoopPoints } from './loops.mjs';
+import { runMigrations } from './migration.mjs';
+import { refreshMusic } from './socket.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 const { DragDrop } = foundry.applications.ux;
@@ -23,7 +30,9 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
     actions: {
       reset: VGMusicConfig.handleReset,
       openPlaylist: VGMusicConfig.openPlaylist,
-      deletePlaylist: VGMusicConfig.deletePlaylist
+      deletePlaylist: VGMusicConfig.deletePlaylist,
+      addEntry: VGMusicConfig.addEntry,
+      deleteEntry: VGMusicConfig.deleteEntry
     },
     dragDrop: [
       { dragSelector: '.playlist-section-item[data-reorderable="true"]', dropSelector: '.playlist-section-list', permissions: { dragstart: true, drop: true }, callbacks: {} },
@@ -34,8 +43,25 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
   /** @override */
   static PARTS = { form: { template: 'modules/vgmusic/templates/music-config.hbs' } };
 
+  /**
+   * Default data for new entries in a section's lists
+   * @type {Record<string, Function>}
+   */
+  static LIST_DEFAULTS = {
+    layers: () => ({ track: '', condition: CONST.layerConditions.always, threshold: 0 }),
+    phases: () => ({ track: '', threshold: 50 }),
+    variants: () => ({ track: '', time: '', weather: '', season: '' }),
+    'rotation.tracks': () => ({ track: '', weight: 1 })
+  };
+
   config = [];
 
+  /**
+   * Compendium playlists not imported into the world yet, keyed by UUID
+   * @type {Map<string, Playlist>}
+   */
+  compendiumPlaylists = new Map();
+
   /**
    * Create a new configuration instance
    * @param {object} object The document object to configure
@@ -87,10 +113,10 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
         return;
       }
       const data = getProperty(this.document, this.updateDataPrefix) || {};
+      const loopTracks = new Set();
       this.config = Object.entries(sections).map(([key, sectionConfig]) => {
         const sectionData = getProperty(data, `music.${key}`) || {};
-        const playlistId = sectionData.playlist;
-        const playlist = playlistId ? game.playlists.get(playlistId) : null;
+        const playlist = resolvePlaylistReference(sectionData.playlist) ?? this.compendiumPlaylists.get(sectionData.playlist) ?? null;
         const tracks =
           playlist?.playbackOrder?.reduce((obj, id) => {
             const track = playlist.sounds.get(id);
@@ -106,6 +132,21 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
           tracks,
           data: sectionData,
           allowPriority: true,
+          allowLayers: key === 'combat',
+          allowIntro: key === 'combat',
+          allowPhases: key === 'combat' && CONST.combatantSources.includes(docType),
+          allowVariants: key === 'area',
+          allowRotation: key === 'area',
+          allowMemory: !Object.values(CONST.combatOutcomes).includes(key),
+          allowConditions: key === 'combat',
+          allowCombatantConditions: key === 'combat' && CONST.combatantSources.includes(docType),
+          phases: Object.entries(sectionData.phases ?? {})
+            .map(([id, phase]) => ({ id, ...phase }))
+            .sort((a, b) => b.threshold - a.threshold),
+          layers: Object.entries(sectionData.layers ?? {}).map(([id, layer]) => ({ id, ...layer })),
+          variants: Object.entries(sectionData.variants ?? {}).map(([id, variant]) => ({ id, ...variant })),
+          rotationTracks: Object.entries(sectionData.rotation?.tracks ?? {}).map(([id, entry]) => ({ id, ...entry })),
+          loopTracks: this.getLoopTracks(playlist, sectionData, loopTracks),
           sortable: true
         };
       });
@@ -116,15 +157,105 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
     }
   }
 
+  /**
+   * Get the tracks of a section whose loop points can be edited: those of its playlist and its rotation tracks
+   * A track already listed by an earlier section is left out, so each track has one set of fields.
+   * @param {Playlist|null} playlist - The section's playlist
+   * @param {object} sectionData - The section's data
+   * @param {Set<PlaylistSound>} listed - Tracks listed by earlier sections, added to
+   * @returns {object[]} Tracks with their playlist and stored loop points
+   */
+  getLoopTracks(playlist, sectionData, listed) {
+    const tracks = playlist && !playlist.pack ? playlist.playbackOrder.map((id) => playlist.sounds.get(id)) : [];
+    for (const entry of Object.values(sectionData.rotation?.tracks ?? {})) {
+      const track = entry?.track ? fromUuidSync(entry.track) : null;
+      if (track instanceof PlaylistSound) tracks.push(track);
+    }
+    return tracks
+      .filter((track) => track && !listed.has(track) && listed.add(track))
+      .map((track) => ({
+        id: track.id,
+        playlistId: track.parent.id,
+        playlist: track.parent.name,
+        name: track.name,
+        repeat: track.repeat,
+        start: track.flags[CONST.moduleId]?.loop?.start ?? null,
+        end: track.flags[CONST.moduleId]?.loop?.end ?? null
+      }));
+  }
+
+  /**
+   * Load the compendium playlists referenced by this document that have not been imported yet
+   */
+  async loadCompendiumPlaylists() {
+    const music = getProperty(getProperty(this.document, this.updateDataPrefix) || {}, 'music') || {};
+    for (const { playlist: reference } of Object.values(music)) {
+      if (!isCompendiumReference(reference) || resolvePlaylistReference(reference) || this.compendiumPlaylists.has(reference)) continue;
+      const playlist = await fromUuid(reference).catch(() => null);
+      if (playlist instanceof Playlist) this.compendiumPlaylists.set(reference, playlist);
+    }
+  }
+
   /** @override */
-  _prepareContext(_options) {
+  async _prepareContext(_options) {
+    await this.loadCompendiumPlaylists();
     this.initializeConfig();
-    const playlistConfig = this.config.map((section, index) => ({ ...section, index, labelLocalized: game.i18n.localize(section.label) }));
+    const areaMemoryScopes = {
+      [CONST.memoryScopes.scene]: 'VGMusic.Memory.Scene',
+      [CONST.memoryScopes.restart]: 'VGMusic.Memory.Restart'
+    };
+    const combatMemoryScopes = {
+      [CONST.memoryScopes.combat]: 'VGMusic.Memory.Combat',
+      [CONST.memoryScopes.combatant]: 'VGMusic.Memory.Combatant',
+      [CONST.memoryScopes.actor]: 'VGMusic.Memory.Actor',
+      ...areaMemoryScopes
+    };
+    const playlistConfig = this.config.map((section, index) => ({
+      ...section,
+      index,
+      labelLocalized: game.i18n.localize(section.label),
+      memoryScopes: section.id === 'combat' ? combatMemoryScopes : areaMemoryScopes
+    }));
     const buttons = [
       { type: 'submit', icon: 'fas fa-save', label: 'VGMusic.UI.Save' },
       { type: 'button', action: 'reset', icon: 'fas fa-undo', label: 'VGMusic.UI.Reset' }
     ];
-    return { playlistConfig, buttons, documentType: this.documentTypeName };
+    const fadeCurves = {
+      [CONST.fadeCurves.linear]: 'VGMusic.FadeCurves.Linear',
+      [CONST.fadeCurves.equalPower]: 'VGMusic.FadeCurves.EqualPower',
+      [CONST.fadeCurves.exponential]: 'VGMusic.FadeCurves.Exponential'
+    };
+    const layerConditions = {
+      [CONST.layerConditions.always]: 'VGMusic.Layers.Conditions.Always',
+      [CONST.layerConditions.round]: 'VGMusic.Layers.Conditions.Round',
+      [CONST.layerConditions.hostilesDefeated]: 'VGMusic.Layers.Conditions.HostilesDefeated',
+      [CONST.layerConditions.partyDown]: 'VGMusic.Layers.Conditions.PartyDown'
+    };
+    const timesOfDay = {
+      [CONST.timesOfDay.day]: 'VGMusic.Variants.Day',
+      [CONST.timesOfDay.night]: 'VGMusic.Variants.Night'
+    };
+    const weatherEffects = Object.fromEntries(Object.entries(CONFIG.weatherEffects).map(([id, effect]) => [id, game.i18n.localize(effect.label)]));
+    const dispositions = Object.fromEntries(Object.entries(foundry.CONST.TOKEN_DISPOSITIONS).map(([key, value]) => [value, `TOKEN.DISPOSITION.${key}`]));
+    const actorTypes = getActorTypeChoices();
+    const actorFolders = Object.fromEntries(game.folders.filter((folder) => folder.type === 'Actor').map((folder) => [folder.id, folder.name]));
+    const allTracks = game.playlists.contents.flatMap((playlist) => playlist.sounds.map((sound) => ({ value: sound.uuid, label: sound.name, group: playlist.name })));
+    const defaultCrossfade = game.settings.get(CONST.moduleId, CONST.settings.crossfadeDuration);
+    return {
+      playlistConfig,
+      buttons,
+      documentType: this.documentTypeName,
+      fadeCurves,
+      layerConditions,
+      timesOfDay,
+      weatherEffects,
+      seasons: getSeasonChoices(),
+      dispositions,
+      actorTypes,
+      actorFolders,
+      allTracks,
+      defaultCrossfade
+    };
   }
 
   /** @override */
@@ -319,7 +450,7 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
       else return false;
       const sectionConfig = CONST.playlistSections[this.documentTypeName][section];
       if (!sectionConfig) return false;
-      const updateData = { [`music.${section}.playlist`]: playlist.id, [`music.${section}.initialTrack`]: sound?.id || '' };
+      const updateData = { [`music.${section}.playlist`]: playlist.uuid, [`music.${section}.initialTrack`]: sound?.id || '' };
       const currentData = getProperty(this.document, this.updateDataPrefix) || {};
       const prevData = getProperty(currentData, `music.${section}`);
       if (!prevData?.priority) updateData[`music.${section}.priority`] = sectionConfig.priority;
@@ -421,6 +552,21 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
       this.document = game.settings.get(CONST.moduleId, CONST.settings.defaultMusic);
       return this.render();
     }
+    if (this.document.documentName === 'ActorType') {
+      const updated = foundry.utils.mergeObject(this.document, foundry.utils.expandObject(expandedData), { inplace: false, performDeletions: true });
+      await saveActorTypeMusic(updated);
+      this.document = updated;
+      return this.render();
+    }
+    if (this.document.documentName === 'MusicTrigger') {
+      const update = foundry.utils.expandObject(expandedData);
+      const triggers = game.settings
+        .get(CONST.moduleId, CONST.settings.triggers)
+        .map((trigger) => (trigger.id === this.document.id ? foundry.utils.mergeObject(trigger, update, { inplace: false, performDeletions: true }) : trigger));
+      await game.settings.set(CONST.moduleId, CONST.settings.triggers, triggers);
+      this.document = triggers.find((trigger) => trigger.id === this.document.id) ?? this.document;
+      return this.render();
+    }
   }
 
   /**
@@ -440,8 +586,8 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {HTMLElement} target - The target element
    */
   static async openPlaylist(_event, target) {
-    const playlistId = target.closest('.playlist-section').dataset.itemId;
-    const playlist = game.playlists.get(playlistId);
+    const playlistUuid = target.closest('.playlist-section').dataset.itemId;
+    const playlist = playlistUuid ? await fromUuid(playlistUuid) : null;
     if (playlist) playlist.sheet.render(true);
   }
 
@@ -455,6 +601,31 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
     await this.updateObject({ [`music.-=${section}`]: null });
   }
 
+  /**
+   * Add an entry to one of a section's lists, such as intensity layers or boss phases
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async addEntry(_event, target) {
+    const section = target.closest('.playlist-section').dataset.section;
+    const list = target.closest('[data-list]').dataset.list;
+    const entry = VGMusicConfig.LIST_DEFAULTS[list]?.();
+    if (!entry) return;
+    await this.updateObject({ [`music.${section}.${list}.${foundry.utils.randomID()}`]: entry });
+  }
+
+  /**
+   * Delete an entry from one of a section's lists
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async deleteEntry(_event, target) {
+    const section = target.closest('.playlist-section').dataset.section;
+    const list = target.closest('[data-list]').dataset.list;
+    const entryId = target.closest('[data-entry-id]').dataset.entryId;
+    await this.updateObject({ [`music.${section}.${list}.-=${entryId}`]: null });
+  }
+
   /**
    * Handle form submission
    * @param {Event} _event - The submit event
@@ -465,18 +636,16 @@ export class VGMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   static async formHandler(_event, _form, formData) {
     const updateData = Object.fromEntries(Object.entries(formData.object).filter(([key]) => key.startsWith('music.')));
-    if (Object.keys(updateData).length > 0) {
-      try {
-        await this.updateObject(updateData);
-        game.vgmusic?.musicController?.playCurrentTrack();
-        this.close();
-      } catch (error) {
-        console.error('VGMusic | Error updating data:', error);
-        ui.notifications.error('Failed to save music configuration');
-        return false;
-      }
-    } else {
+    const hasMusic = Object.keys(updateData).length > 0;
+    try {
+      if (hasMusic) await this.updateObject(updateData);
+      await saveLoopPoints(foundry.utils.expandObject(formData.object).loops);
+      if (hasMusic) game.vgmusic?.musicController?.playCurrentTrack();
       this.close();
+    } catch (error) {
+      console.error('VGMusic | Error updating data:', error);
+      ui.notifications.error('Failed to save music configuration');
+      return false;
     }
     return true;
   }
@@ -513,6 +682,29 @@ export function getSceneControlButtons(controls) {
           game.settings.set(CONST.moduleId, CONST.settings.suppressCombat, active);
         }
       };
+      controls.sounds.tools['pop-music-override'] = {
+        name: 'pop-music-override',
+        order: 12,
+        title: 'VGMusic.Controls.PopOverride',
+        icon: 'fas fa-thumbtack-slash',
+        button: true,
+        visible: game.user.isGM && !!game.vgmusic?.musicController?.overrideEntries.length,
+        onChange: () => {
+          game.vgmusic?.popOverride();
+        }
+      };
+      controls.sounds.tools['music-director'] = {
+        name: 'music-director',
+        order: 13,
+        title: 'VGMusic.Controls.MusicDirector',
+        icon: 'fas fa-sliders',
+        button: true,
+        visible: game.user.isGM,
+        onChange: () => {
+          const director = foundry.applications.instances.get('vgmusic-director') ?? new MusicDirector();
+          director.render({ force: true });
+        }
+      };
     }
   } catch (error) {
     console.error('VGMusic | Error adding scene control buttons:', error);
@@ -567,10 +759,40 @@ export function handleUpdateCombat(combat, updateData) {
 }
 
 /**
- * Handle combat deletion to stop music
+ * Handle combatant updates so defeated combatants change the intensity layers
+ * @param {object} combatant - The combatant document
+ * @param {object} updateData - The update data
+ */
+export function handleUpdateCombatant(combatant, updateData) {
+  if ('defeated' in updateData && combatant.parent === game.vgmusic?.musicController?.currentCombat) game.vgmusic.musicController.playCurrentTrack();
+}
+
+/**
+ * Check whether an update changes hit points, directly or through an unlinked token's actor delta
+ * @param {object} updateData - The update data
+ * @returns {boolean} True if hit points changed
  */
-export function handleDeleteCombat() {
-  game.vgmusic?.musicController?.playCurrentTrack();
+function isHPUpdate(updateData) {
+  const hpAttribute = getHPAttribute();
+  return foundry.utils.hasProperty(updateData, hpAttribute) || foundry.utils.hasProperty(updateData, `delta.${hpAttribute}`);
+}
+
+/**
+ * Check whether an actor or token takes part in the current combat
+ * @param {Document} document - The actor or token document
+ * @returns {boolean} True if a combatant of the current combat uses the document
+ */
+function isInCurrentCombat(document) {
+  const combat = game.vgmusic?.musicController?.currentCombat;
+  return !!combat?.combatants.some((combatant) => combatant.actor === document || combatant.token === document);
+}
+
+/**
+ * Handle combat deletion to play a victory or defeat stinger before area music resumes
+ * @param {object} combat - The deleted combat document
+ */
+export function handleDeleteCombat(combat) {
+  game.vgmusic?.musicController?.playStinger(combat);
 }
 
 /**
@@ -584,9 +806,12 @@ export function handleCanvasReady() {
  * Handle scene updates for music flag changes
  * @param {object} scene - The scene document
  * @param {object} updateData - The update data
+ * @param {object} options - The update options
  */
-export function handleUpdateScene(scene, updateData) {
+export function handleUpdateScene(scene, updateData, options) {
+  if (isRefreshSkipped(options)) return;
   if ('flags' in updateData && updateData.flags?.[CONST.moduleId]) game.vgmusic?.musicController?.playCurrentTrack();
+  else if (isEnvironmentUpdate(updateData) && scene === game.vgmusic?.musicController?.currentScene) game.vgmusic.musicController.playCurrentTrack();
   if ('active' in updateData) {
     if (updateData.active !== true) scene.unsetFlag(CONST.moduleId, 'playlist').catch(() => {});
     game.vgmusic?.musicController?.playCurrentTrack();
@@ -594,21 +819,232 @@ export function handleUpdateScene(scene, updateData) {
 }
 
 /**
- * Handle actor updates for music flag changes
- * @param {object} _actor - The actor document
+ * Check whether a scene update changes its darkness level or weather
  * @param {object} updateData - The update data
+ * @returns {boolean} True if the scene environment changed
  */
-export function handleUpdateActor(_actor, updateData) {
-  if ('flags' in updateData && updateData.flags?.[CONST.moduleId]) game.vgmusic?.musicController?.playCurrentTrack();
+function isEnvironmentUpdate(updateData) {
+  return 'weather' in updateData || foundry.utils.hasProperty(updateData, 'environment.darknessLevel');
+}
+
+/**
+ * Handle world time changes which may move area music into a new season
+ */
+export function handleUpdateWorldTime() {
+  const controller = game.vgmusic?.musicController;
+  if (controller?.currentContext?.context === 'area' && controller.currentContext.section?.variants) controller.playCurrentTrack();
+}
+
+/**
+ * Check whether an update asked to skip the music refresh, as bulk edits do before refreshing once
+ * @param {object} options - The update options
+ * @returns {boolean} True if the update should not refresh the music
+ */
+function isRefreshSkipped(options) {
+  return options?.[CONST.moduleId]?.refresh === false;
 }
 
 /**
- * Handle token updates for music flag changes
- * @param {Document} _token - The token document
+ * Handle actor updates for music flag and hit point changes
+ * @param {object} actor - The actor document
  * @param {object} updateData - The update data
+ * @param {object} options - The update options
  */
-export function handleUpdateToken(_token, updateData) {
+export function handleUpdateActor(actor, updateData, options) {
+  if (isRefreshSkipped(options)) return;
   if ('flags' in updateData && updateData.flags?.[CONST.moduleId]) game.vgmusic?.musicController?.playCurrentTrack();
+  else if ((isHPUpdate(updateData) || 'folder' in updateData) && isInCurrentCombat(actor)) game.vgmusic?.musicController?.playCurrentTrack();
+}
+
+/**
+ * Handle actor folder updates for music flag changes and moves within the folder tree
+ * @param {Folder} folder - The folder document
+ * @param {object} updateData - The update data
+ * @param {object} options - The update options
+ */
+export function handleUpdateFolder(folder, updateData, options) {
+  if (folder.type !== 'Actor' || isRefreshSkipped(options)) return;
+  if (updateData.flags?.[CONST.moduleId] || 'folder' in updateData) game.vgmusic?.musicController?.playCurrentTrack();
+}
+
+/**
+ * Handle token updates for music flag changes, hit point and disposition changes and party movement between regions
+ * @param {Document} token - The token document
+ * @param {object} updateData - The update data
+ * @param {object} options - The update options
+ */
+export function handleUpdateToken(token, updateData, options) {
+  if (isRefreshSkipped(options)) return;
+  if ('flags' in updateData && updateData.flags?.[CONST.moduleId]) return game.vgmusic?.musicController?.playCurrentTrack();
+  if ((isHPUpdate(updateData) || 'disposition' in updateData) && isInCurrentCombat(token)) return game.vgmusic?.musicController?.playCurrentTrack();
+  if (updateData.flags?.tagger && token.parent === game.vgmusic?.musicController?.currentScene) refreshTriggers(CONST.triggerConditions.tokenTag);
+  const moved = ['x', 'y', 'elevation', '_regions'].some((key) => key in updateData);
+  if (moved) handleTokenPresenceChange(token);
+}
+
+/**
+ * Handle a party token appearing, disappearing or moving on the current scene
+ * @param {Document} token - The token document
+ */
+export function handleTokenPresenceChange(token) {
+  const controller = game.vgmusic?.musicController;
+  if (!controller || token.parent !== controller.currentScene || !isPartyToken(token)) return;
+  if (!token.parent.regions?.some((region) => region.getFlag(CONST.moduleId, 'music.area.playlist'))) return;
+  controller.playCurrentTrack();
+}
+
+/**
+ * Re-resolve the music if an enabled trigger rule uses one of the given conditions
+ * @param {...string} types - Conditions from CONST.triggerConditions that may have changed
+ */
+function refreshTriggers(...types) {
+  const controller = game.vgmusic?.musicController;
+  if (controller?.triggers.some((trigger) => types.includes(trigger.condition?.type))) controller.playCurrentTrack();
+}
+
+/**
+ * Handle a token appearing on or leaving a scene, which may change tag and status effect triggers
+ * @param {Document} token - The token document
+ */
+export function handleTokenTriggerChange(token) {
+  if (token.parent === game.vgmusic?.musicController?.currentScene) refreshTriggers(CONST.triggerConditions.tokenTag, CONST.triggerConditions.statusEffect);
+}
+
+/**
+ * Handle active effect changes, which may change status effect triggers
+ */
+export function handleActiveEffectChange() {
+  refreshTriggers(CONST.triggerConditions.statusEffect);
+}
+
+/**
+ * Handle journal sheets opening or closing, which may change journal triggers
+ */
+export function handleJournalSheetChange() {
+  refreshTriggers(CONST.triggerConditions.journalOpen);
+}
+
+/**
+ * Handle world setting changes, which may change setting triggers
+ * @param {Setting} setting - The changed setting
+ */
+export function handleUpdateSetting(setting) {
+  if (!setting.key.startsWith(`${CONST.moduleId}.`)) refreshTriggers(CONST.triggerConditions.setting);
+}
+
+/**
+ * Handle playlist deletion by dropping its tracks from playback and every reference to it
+ * The head GM clears music still assigned to the playlist, refreshes the music once and tells the GM about it.
+ * @param {Playlist} playlist - The deleted playlist
+ */
+export async function handleDeletePlaylist(playlist) {
+  try {
+    await game.vgmusic?.musicController?.releaseDeletedTracks(playlist, (uuid) => uuid.startsWith(`${playlist.uuid}.`));
+    if (!isHeadGM()) return;
+    const cleared = await clearDeletedReferences(playlist);
+    if (!cleared.length) return;
+    refreshMusic();
+    ui.notifications.warn(game.i18n.format('VGMusic.Notifications.PlaylistDeleted', { name: playlist.name, count: cleared.length }));
+  } catch (error) {
+    console.error('VGMusic | Error handling playlist deletion:', error);
+  }
+}
+
+/**
+ * Handle track deletion by dropping it from playback and every reference to it
+ * The head GM clears music still assigned to the track, refreshes the music once and tells the GM about it.
+ * @param {PlaylistSound} sound - The deleted track
+ */
+export async function handleDeletePlaylistSound(sound) {
+  try {
+    await game.vgmusic?.musicController?.releaseDeletedTracks(sound.parent, (uuid) => uuid === sound.uuid);
+    if (!isHeadGM()) return;
+    const cleared = await clearDeletedReferences(sound.parent, sound);
+    if (!cleared.length) return;
+    refreshMusic();
+    ui.notifications.warn(game.i18n.format('VGMusic.Notifications.TrackDeleted', { name: sound.name, count: cleared.length }));
+  } catch (error) {
+    console.error('VGMusic | Error handling track deletion:', error);
+  }
+}
+
+/**
+ * Handle playlist updates that change which track plays first
+ * @param {Playlist} playlist - The updated playlist
+ * @param {object} updateData - The update data
+ */
+export function handleUpdatePlaylist(playlist, updateData) {
+  if (!('mode' in updateData || 'sorting' in updateData)) return;
+  if (game.vgmusic?.musicController?.currentContext?.playlist === playlist) game.vgmusic.musicController.playCurrentTrack();
+}
+
+/**
+ * Handle track reordering within the playing playlist
+ * @param {PlaylistSound} sound - The updated track
+ * @param {object} updateData - The update data
+ */
+export function handleUpdatePlaylistSound(sound, updateData) {
+  if (!('sort' in updateData)) return;
+  if (game.vgmusic?.musicController?.currentContext?.playlist === sound.parent) game.vgmusic.musicController.playCurrentTrack();
+}
+
+/**
+ * Handle region updates for music flag and shape changes
+ * @param {Document} region - The region document
+ * @param {object} updateData - The update data
+ * @param {object} options - The update options
+ */
+export function handleUpdateRegion(region, updateData, options) {
+  if (region.parent !== game.vgmusic?.musicController?.currentScene || isRefreshSkipped(options)) return;
+  if (('flags' in updateData && updateData.flags?.[CONST.moduleId]) || 'shapes' in updateData || 'elevation' in updateData) game.vgmusic?.musicController?.playCurrentTrack();
+}
+
+/**
+ * Handle region deletion to drop its area music
+ * @param {Document} region - The region document
+ */
+export function handleDeleteRegion(region) {
+  if (region.parent === game.vgmusic?.musicController?.currentScene && region.getFlag(CONST.moduleId, 'music.area.playlist')) game.vgmusic?.musicController?.playCurrentTrack();
+}
+
+/**
+ * Handle RegionConfig render to inject music configuration
+ * @param {object} app - The application
+ * @param {HTMLElement} html - The rendered HTML
+ */
+export function handleRegionConfigRender(app, html) {
+  try {
+    if (!game.user.isGM) return;
+    const identityTab = html.querySelector('[data-application-part="identity"]') || html.querySelector('.tab[data-tab="identity"]');
+    const nameField = identityTab?.querySelector('.form-group');
+    if (!nameField || identityTab.querySelector('.vgmusic-region-config')) return;
+    const region = app.document;
+    if (!region) return;
+    const formGroup = document.createElement('div');
+    formGroup.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = game.i18n.localize('VGMusic.PlaylistSection.Area');
+    const formFields = document.createElement('div');
+    formFields.className = 'form-fields';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'vgmusic-region-config';
+    button.innerHTML = `<i class="fas fa-music"></i> ${game.i18n.localize('VGMusic.ConfigTitle')}`;
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      new VGMusicConfig(region).render(true);
+    });
+    const hint = document.createElement('p');
+    hint.className = 'hint';
+    hint.textContent = game.i18n.localize('VGMusic.RegionMusic.Hint');
+    formFields.appendChild(button);
+    formGroup.appendChild(label);
+    formGroup.appendChild(formFields);
+    formGroup.appendChild(hint);
+    nameField.insertAdjacentElement('afterend', formGroup);
+  } catch (error) {
+    console.error('VGMusic | Error adding region config button:', error);
+  }
 }
 
 /**
@@ -674,10 +1110,70 @@ export function handleTokenConfigRender(app, html, _context, _options) {
 }
 
 /**
- * Handle game ready to start music after delay
+ * Handle game ready to migrate stored music data and start music after delay
  */
 export async function handleReady() {
+  if (isHeadGM()) {
+    try {
+      await runMigrations();
+    } catch (error) {
+      console.error('VGMusic | Error migrating music data:', error);
+    }
+  }
   setTimeout(() => {
-    game.vgmusic?.musicController?.playCurrentTrack();
+    game.vgmusic?.musicController?.refreshOverrides();
   }, 1000);
 }
+
+/**
+ * Add a context menu option to configure the combat music actors in a folder inherit
+ * @param {object} _app - The sidebar directory
+ * @param {object[]} options - Context menu options
+ */
+export function getFolderContextOptions(_app, options) {
+  const getFolder = (li) => game.folders.get(li.closest('[data-folder-id]')?.dataset.folderId);
+  options.push({
+    name: 'VGMusic.ConfigTitle',
+    icon: '<i class="fas fa-music"></i>',
+    condition: (li) => game.user.isGM && getFolder(li)?.type === 'Actor',
+    callback: (li) => {
+      const folder = getFolder(li);
+      if (folder) new VGMusicConfig(folder).render(true);
+    }
+  });
+}
+
+/**
+ * Add a context menu option to push a playlist as a music override
+ * @param {object} _app - The playlist directory
+ * @param {object[]} options - Context menu options
+ */
+export function getPlaylistContextOptions(_app, options) {
+  options.push({
+    name: 'VGMusic.Override.Push',
+    icon: '<i class="fas fa-thumbtack"></i>',
+    condition: () => game.user.isGM,
+    callback: (li) => {
+      const playlist = game.playlists.get(li.dataset.entryId);
+      if (playlist) game.vgmusic?.pushOverride(playlist);
+    }
+  });
+}
+
+/**
+ * Add a context menu option to push a playlist sound as a music override
+ * @param {object} _app - The playlist directory
+ * @param {object[]} options - Context menu options
+ */
+export function getPlaylistSoundContextOptions(_app, options) {
+  options.push({
+    name: 'VGMusic.Override.Push',
+    icon: '<i class="fas fa-thumbtack"></i>',
+    condition: () => game.user.isGM,
+    callback: (li) => {
+      const playlistId = li.dataset.playlistId ?? li.closest('[data-entry-id]')?.dataset.entryId;
+      const sound = game.playlists.get(playlistId)?.sounds.get(li.dataset.soundId);
+      if (sound) game.vgmusic?.pushOverride(sound);
+    }
+  });
+}
@@ -0,0 +1,155 @@
+import { auditReferences, clearReference, replaceReference } from './audit.mjs';
+import { CONST } from './config.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Lists broken music references across the world with one-click fixes
+ */
+export class ReferenceAudit extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'vgmusic-audit',
+    window: { title: 'VGMusic.Audit.Title', icon: 'fas fa-stethoscope', resizable: true },
+    classes: ['dnd5e2'],
+    position: { width: 820, height: 'auto' },
+    actions: {
+      replaceReference: ReferenceAudit.replaceReference,
+      replaceAll: ReferenceAudit.replaceAll,
+      clearReference: ReferenceAudit.clearReference,
+      clearAll: ReferenceAudit.clearAll
+    }
+  };
+
+  /** @override */
+  static PARTS = { main: { template: 'modules/vgmusic/templates/audit.hbs' } };
+
+  /**
+   * Labels of problem types
+   * @type {Record<string, string>}
+   */
+  static PROBLEM_LABELS = {
+    [CONST.auditProblems.missingPlaylist]: 'VGMusic.Audit.Problems.MissingPlaylist',
+    [CONST.auditProblems.missingTrack]: 'VGMusic.Audit.Problems.MissingTrack',
+    [CONST.auditProblems.staleProgress]: 'VGMusic.Audit.Problems.StaleProgress',
+    [CONST.auditProblems.unreachableSection]: 'VGMusic.Audit.Problems.UnreachableSection'
+  };
+
+  /**
+   * Problems of the last render, keyed by problem ID
+   * @type {Map<string, AuditProblem>}
+   */
+  #problems = new Map();
+
+  /** @override */
+  _prepareContext(_options) {
+    const problems = auditReferences();
+    this.#problems = new Map(problems.map((problem) => [problem.id, problem]));
+    const playlists = Object.fromEntries(game.playlists.map((playlist) => [playlist.uuid, playlist.name]));
+    const rows = problems.map((problem) => {
+      let choices = null;
+      if (problem.type === CONST.auditProblems.missingPlaylist) choices = playlists;
+      else if (problem.type === CONST.auditProblems.missingTrack && problem.playlist) choices = Object.fromEntries(problem.playlist.sounds.map((sound) => [sound.id, sound.name]));
+      const shared = problems.filter((other) => other.type === problem.type && other.reference === problem.reference).length;
+      return {
+        id: problem.id,
+        name: problem.name,
+        documentName: problem.documentName,
+        section: problem.section,
+        reference: problem.reference,
+        problem: ReferenceAudit.PROBLEM_LABELS[problem.type],
+        choices,
+        shared: shared > 1 ? shared : 0
+      };
+    });
+    return { rows };
+  }
+
+  /**
+   * Find the problem of a clicked row
+   * @param {HTMLElement} target - The clicked element
+   * @returns {AuditProblem|undefined} The row's problem
+   */
+  getRowProblem(target) {
+    return this.#problems.get(target.closest('[data-problem-id]')?.dataset.problemId);
+  }
+
+  /**
+   * Read the replacement picked in a clicked row
+   * @param {HTMLElement} target - The clicked element
+   * @returns {string} The picked playlist UUID or track ID, empty if none
+   */
+  getReplacement(target) {
+    return target.closest('[data-problem-id]')?.querySelector('select')?.value ?? '';
+  }
+
+  /**
+   * Apply fixes, then refresh the audit and the music
+   * @param {AuditProblem[]} problems - Problems to fix
+   * @param {Function} fix - Called with each problem
+   */
+  async applyFixes(problems, fix) {
+    try {
+      for (const problem of problems) await fix(problem);
+      ui.notifications.info(game.i18n.format('VGMusic.Audit.Fixed', { count: problems.length }));
+    } catch (error) {
+      console.error('VGMusic | Error fixing music references:', error);
+      ui.notifications.error('VGMusic.Audit.FixFailed', { localize: true });
+    }
+    game.vgmusic?.musicController?.playCurrentTrack();
+    this.render();
+  }
+
+  /**
+   * Find every problem with the same broken reference as a problem
+   * @param {AuditProblem} problem - The problem to match
+   * @returns {AuditProblem[]} Matching problems, including the given one
+   */
+  getSharedProblems(problem) {
+    return [...this.#problems.values()].filter((other) => other.type === problem.type && other.reference === problem.reference);
+  }
+
+  /**
+   * Point one broken reference at the picked replacement
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async replaceReference(_event, target) {
+    const problem = this.getRowProblem(target);
+    const replacement = this.getReplacement(target);
+    if (problem && replacement) await this.applyFixes([problem], (p) => replaceReference(p, replacement));
+  }
+
+  /**
+   * Reassign every use of the same broken reference to the picked replacement
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async replaceAll(_event, target) {
+    const problem = this.getRowProblem(target);
+    const replacement = this.getReplacement(target);
+    if (!problem || !replacement) return;
+    const shared = this.getSharedProblems(problem).filter((p) => p.type !== CONST.auditProblems.missingTrack || p.playlist === problem.playlist);
+    await this.applyFixes(shared, (p) => replaceReference(p, replacement));
+  }
+
+  /**
+   * Remove one broken reference
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async clearReference(_event, target) {
+    const problem = this.getRowProblem(target);
+    if (problem) await this.applyFixes([problem], clearReference);
+  }
+
+  /**
+   * Remove every broken reference found
+   */
+  static async clearAll() {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'VGMusic.Audit.ClearAll' },
+      content: `<p>${game.i18n.format('VGMusic.Audit.ClearAllConfirm', { count: this.#problems.size })}</p>`
+    });
+    if (confirmed) await this.applyFixes([...this.#problems.values()], clearReference);
+  }
+}
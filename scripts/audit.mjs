@@ -0,0 +1,210 @@
+import { getActorTypeMusic, saveActorTypeMusic } from './actor-types.mjs';
+import { CONST } from './config.mjs';
+import { resolvePlaylistReference } from './helpers.mjs';
+import { collectMusicSections, isOrphanedSection } from './migration.mjs';
+
+/**
+ * A broken reference found by the audit
+ * @typedef {object} AuditProblem
+ * @property {string} id - Identifier of the problem within one audit
+ * @property {string} type - Problem type from CONST.auditProblems
+ * @property {Document|object} owner - The document, prototype token, default music or trigger holding the data
+ * @property {string} documentName - Type of the owner
+ * @property {string} name - Display name of the owner
+ * @property {string} section - Section key, or the playlist ID of a progress record
+ * @property {string} reference - The broken reference
+ * @property {string|null} path - Flag path a replacement is written to, null if the problem can only be cleared
+ * @property {string} clearPath - Flag path removed when the problem is cleared
+ * @property {Playlist|null} playlist - Playlist a replacement track is picked from, null if the problem can only be cleared
+ */
+
+/**
+ * Get every track reference of a music section with the flag paths holding it
+ * @param {string} key - Section key
+ * @param {object} section - Music section data
+ * @returns {{trackId: string, path: string, clearPath: string}[]} Track references
+ */
+function getTrackReferences(key, section) {
+  const references = [];
+  for (const trackKey of ['initialTrack', 'introTrack']) {
+    if (section[trackKey]) references.push({ trackId: section[trackKey], path: `music.${key}.${trackKey}`, clearPath: `music.${key}.${trackKey}` });
+  }
+  for (const list of CONST.sectionTrackLists) {
+    for (const [id, entry] of Object.entries(section[list] ?? {})) {
+      if (entry?.track) references.push({ trackId: entry.track, path: `music.${key}.${list}.${id}.track`, clearPath: `music.${key}.${list}.${id}` });
+    }
+  }
+  return references;
+}
+
+/**
+ * Get every document that may hold playback progress records
+ * @returns {Document[]} Possible scope entities
+ */
+function getProgressHolders() {
+  const holders = [...game.scenes, ...game.actors, ...game.combats];
+  for (const scene of game.scenes) holders.push(...scene.regions, ...scene.tokens);
+  for (const combat of game.combats) holders.push(...combat.combatants);
+  return holders;
+}
+
+/**
+ * Scan the world for music pointing at missing playlists and tracks, stale progress records and unreachable sections
+ * @returns {AuditProblem[]} Problems found
+ */
+export function auditReferences() {
+  const problems = [];
+  const add = (problem) => problems.push({ id: String(problems.length), playlist: null, ...problem });
+  for (const { owner, documentName, name, key, section } of collectMusicSections()) {
+    const base = { owner, documentName, name, section: key };
+    const sectionType = { PrototypeToken: 'Token', ActorDelta: 'Actor' }[documentName] ?? documentName;
+    if (!CONST.playlistSections[sectionType]?.[key]) {
+      add({ ...base, type: CONST.auditProblems.unreachableSection, reference: key, path: null, clearPath: `music.${key}` });
+      continue;
+    }
+    for (const [id, entry] of Object.entries(section.rotation?.tracks ?? {})) {
+      if (entry?.track && !fromUuidSync(entry.track)) add({ ...base, type: CONST.auditProblems.missingTrack, reference: entry.track, path: null, clearPath: `music.${key}.rotation.tracks.${id}` });
+    }
+    if (isOrphanedSection(section)) {
+      add({ ...base, type: CONST.auditProblems.missingPlaylist, reference: section.playlist, path: `music.${key}.playlist`, clearPath: `music.${key}` });
+      continue;
+    }
+    const playlist = resolvePlaylistReference(section.playlist);
+    if (!playlist) continue;
+    for (const { trackId, path, clearPath } of getTrackReferences(key, section)) {
+      if (!playlist.sounds.has(trackId)) add({ ...base, type: CONST.auditProblems.missingTrack, reference: trackId, path, clearPath, playlist });
+    }
+  }
+  for (const holder of getProgressHolders()) {
+    const name = holder.parent?.name ? `${holder.parent.name}: ${holder.name}` : holder.name;
+    const base = { owner: holder, documentName: holder.documentName, name, type: CONST.auditProblems.staleProgress, path: null };
+    for (const [playlistId, records] of Object.entries(holder.flags[CONST.moduleId]?.playlist ?? {})) {
+      const playlist = game.playlists.get(playlistId);
+      if (!playlist) {
+        add({ ...base, section: playlistId, reference: playlistId, clearPath: `playlist.${playlistId}` });
+        continue;
+      }
+      for (const trackId of Object.keys(records ?? {})) {
+        if (!playlist.sounds.has(trackId)) add({ ...base, section: playlistId, reference: `${playlistId}.${trackId}`, clearPath: `playlist.${playlistId}.${trackId}` });
+      }
+    }
+    for (const [playlistId, trackId] of Object.entries(holder.flags[CONST.moduleId]?.cursor ?? {})) {
+      if (!game.playlists.get(playlistId)?.sounds.has(trackId)) add({ ...base, section: playlistId, reference: `${playlistId}.${trackId}`, clearPath: `cursor.${playlistId}` });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Set or remove a value at a path of a plain object
+ * @param {object} data - The object to change in place
+ * @param {string} path - Dot-separated path
+ * @param {*} value - New value, or undefined to remove the key
+ */
+function editData(data, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = foundry.utils.getProperty(data, parts.join('.'));
+  if (!parent) return;
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+/**
+ * Write values to the module data of a problem's owner, in one write
+ * @param {AuditProblem} problem - The problem being fixed
+ * @param {Array<[string, *]>} changes - Flag paths relative to the module's flags, with their new value or undefined to remove the key
+ * @param {object} [options] - Update options for documents
+ */
+async function writeOwnerData(problem, changes, options = {}) {
+  const { owner, documentName } = problem;
+  const editSetting = async (setting, getData) => {
+    const value = foundry.utils.deepClone(game.settings.get(CONST.moduleId, setting));
+    const data = getData(value);
+    if (!data) return;
+    for (const [path, change] of changes) editData(data, `data.${CONST.moduleId}.${path}`, change);
+    await game.settings.set(CONST.moduleId, setting, value);
+  };
+  if (documentName === 'DefaultMusic') return editSetting(CONST.settings.defaultMusic, (defaultMusic) => defaultMusic);
+  if (documentName === 'MusicTrigger') return editSetting(CONST.settings.triggers, (triggers) => triggers?.find((t) => t.id === owner.id));
+  if (documentName === 'ActorType') {
+    const entry = foundry.utils.deepClone(getActorTypeMusic(owner.id));
+    for (const [path, change] of changes) editData(entry, `data.${CONST.moduleId}.${path}`, change);
+    await saveActorTypeMusic(entry);
+    return;
+  }
+  const document = documentName === 'PrototypeToken' ? owner.parent : owner;
+  const prefix = documentName === 'PrototypeToken' ? `prototypeToken.flags.${CONST.moduleId}` : `flags.${CONST.moduleId}`;
+  const update = {};
+  for (const [path, change] of changes) {
+    if (change !== undefined) {
+      update[`${prefix}.${path}`] = change;
+      continue;
+    }
+    const parts = path.split('.');
+    const last = parts.pop();
+    update[[prefix, ...parts, `-=${last}`].join('.')] = null;
+  }
+  await document.update(update, options);
+}
+
+/**
+ * Point a broken reference at a replacement playlist or track
+ * @param {AuditProblem} problem - The problem to fix
+ * @param {string} replacement - Playlist UUID for missing playlists, track ID for missing tracks
+ */
+export async function replaceReference(problem, replacement) {
+  if (!problem.path || !replacement) return;
+  await writeOwnerData(problem, [[problem.path, replacement]]);
+}
+
+/**
+ * Remove the broken data of a problem
+ * @param {AuditProblem} problem - The problem to fix
+ */
+export async function clearReference(problem) {
+  await writeOwnerData(problem, [[problem.clearPath, undefined]]);
+}
+
+/**
+ * Get the flag paths to remove for a reference to a deleted playlist or track
+ * A missing playlist takes the section's playlist and every track reference into it, keeping its other settings.
+ * @param {AuditProblem} problem - The problem
+ * @returns {string[]} Flag paths relative to the module's flags
+ */
+function getDeletedPaths(problem) {
+  if (problem.type !== CONST.auditProblems.missingPlaylist) return [problem.clearPath];
+  const prefix = `music.${problem.section}`;
+  return ['playlist', 'initialTrack', 'introTrack', ...CONST.sectionTrackLists].map((key) => `${prefix}.${key}`);
+}
+
+/**
+ * Remove every reference to a deleted playlist or track, with one write per owner
+ * Music sections lose their playlist and the track references into it, and progress and cursor records are dropped.
+ * The writes skip the music refresh, so callers refresh once afterwards.
+ * @param {Playlist} playlist - The deleted playlist, or the playlist that lost the track
+ * @param {PlaylistSound|null} [track] - The deleted track, or null if the whole playlist was deleted
+ * @returns {Promise<AuditProblem[]>} The music section references that were removed
+ */
+export async function clearDeletedReferences(playlist, track = null) {
+  const problems = auditReferences();
+  const isDeletedProgress = (problem) => problem.type === CONST.auditProblems.staleProgress && problem.section === playlist.id && (!track || problem.reference === `${playlist.id}.${track.id}`);
+  const isDeletedReference = (problem) => {
+    if (track) return problem.type === CONST.auditProblems.missingTrack && (problem.reference === track.uuid || (problem.reference === track.id && problem.playlist === playlist));
+    if (problem.type === CONST.auditProblems.missingPlaylist) return [playlist.id, playlist.uuid].includes(problem.reference);
+    return problem.type === CONST.auditProblems.missingTrack && problem.reference.startsWith(`${playlist.uuid}.`);
+  };
+  const owners = new Map();
+  for (const problem of problems.filter((p) => isDeletedProgress(p) || isDeletedReference(p))) {
+    if (!owners.has(problem.owner)) owners.set(problem.owner, { problem, paths: [] });
+    owners.get(problem.owner).paths.push(...getDeletedPaths(problem));
+  }
+  const options = { [CONST.moduleId]: { refresh: false } };
+  for (const { problem, paths } of owners.values())
+    await writeOwnerData(
+      problem,
+      [...new Set(paths)].map((path) => [path, undefined]),
+      options
+    );
+  return problems.filter(isDeletedReference);
+}
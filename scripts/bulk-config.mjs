@@ -0,0 +1,234 @@
+import { getActorTypeChoices } from './actor-types.mjs';
+import { VGMusicConfig } from './app.mjs';
+import { clearSectionMusic, copySectionMusic, filterActors, getPlacedTokens, getSection, setSectionMusic } from './bulk.mjs';
+import { CONST } from './config.mjs';
+import { resolvePlaylistReference } from './helpers.mjs';
+import { refreshMusic } from './socket.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Table of actors for assigning, clearing and copying combat music in bulk
+ */
+export class BulkMusicConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'vgmusic-bulk',
+    tag: 'form',
+    window: { title: 'VGMusic.Bulk.Title', icon: 'fas fa-table-list', resizable: true },
+    classes: ['dnd5e2'],
+    form: {
+      handler: BulkMusicConfig.formHandler,
+      closeOnSubmit: false,
+      submitOnChange: true
+    },
+    position: { width: 900, height: 'auto' },
+    actions: {
+      toggleAll: BulkMusicConfig.toggleAll,
+      applyMusic: BulkMusicConfig.applyMusic,
+      clearMusic: BulkMusicConfig.clearMusic,
+      copyMusic: BulkMusicConfig.copyMusic,
+      pasteMusic: BulkMusicConfig.pasteMusic,
+      configureMusic: BulkMusicConfig.configureMusic
+    }
+  };
+
+  /** @override */
+  static PARTS = { form: { template: 'modules/vgmusic/templates/bulk-config.hbs' } };
+
+  /**
+   * Folder, type and scene filters and the shown section
+   * @type {{folder: string, type: string, scene: string, section: string}}
+   */
+  #filters = { folder: '', type: '', scene: '', section: 'combat' };
+
+  /**
+   * Music assigned by the set action
+   * @type {{playlist: string, initialTrack: string, priority: number|null, tokens: boolean}}
+   */
+  #draft = { playlist: '', initialTrack: '', priority: null, tokens: false };
+
+  /**
+   * IDs of the selected actors
+   * @type {Set<string>}
+   */
+  #selected = new Set();
+
+  /**
+   * ID of the actor whose section is pasted, null if nothing was copied
+   * @type {string|null}
+   */
+  #copied = null;
+
+  /**
+   * Get the actors shown with the current filters
+   * @returns {Actor[]} Shown actors
+   */
+  get actors() {
+    return filterActors(this.#filters);
+  }
+
+  /**
+   * Get the shown actors that are selected
+   * @returns {Actor[]} Selected actors
+   */
+  get selectedActors() {
+    return this.actors.filter((actor) => this.#selected.has(actor.id));
+  }
+
+  /**
+   * Get the default priority of the shown section
+   * @returns {number} Default actor priority
+   */
+  get defaultPriority() {
+    return CONST.playlistSections.Actor[this.#filters.section]?.priority ?? 0;
+  }
+
+  /** @override */
+  _prepareContext(_options) {
+    const key = this.#filters.section;
+    const actors = this.actors;
+    const rows = actors.map((actor) => {
+      const section = getSection(actor, key);
+      const playlist = resolvePlaylistReference(section?.playlist);
+      return {
+        id: actor.id,
+        name: actor.name,
+        img: actor.img,
+        type: actor.type,
+        folder: actor.folder?.name ?? '',
+        playlist: playlist?.name ?? section?.playlist ?? '',
+        track: playlist?.sounds.get(section?.initialTrack)?.name ?? '',
+        priority: section?.priority ?? '',
+        tokens: getPlacedTokens(actor, this.#filters.scene).length,
+        selected: this.#selected.has(actor.id),
+        copied: this.#copied === actor.id
+      };
+    });
+    const playlist = resolvePlaylistReference(this.#draft.playlist);
+    return {
+      rows,
+      filters: this.#filters,
+      draft: { ...this.#draft, priority: this.#draft.priority ?? this.defaultPriority },
+      allSelected: actors.length > 0 && actors.every((actor) => this.#selected.has(actor.id)),
+      selectedCount: rows.filter((row) => row.selected).length,
+      copied: game.actors.get(this.#copied)?.name ?? '',
+      folders: Object.fromEntries(game.folders.filter((f) => f.type === 'Actor').map((f) => [f.id, f.name])),
+      types: getActorTypeChoices(),
+      scenes: Object.fromEntries(game.scenes.map((scene) => [scene.id, scene.name])),
+      sections: Object.fromEntries(Object.entries(CONST.playlistSections.Actor).map(([id, section]) => [id, section.label])),
+      playlists: Object.fromEntries(game.playlists.map((p) => [p.uuid, p.name])),
+      tracks: playlist ? Object.fromEntries(playlist.sounds.map((sound) => [sound.id, sound.name])) : {}
+    };
+  }
+
+  /**
+   * Write a change to the selected actors, then refresh the editor and the music
+   * @param {Function} change - Called with the selected actors, the section key and the token options, returns the number of changed documents
+   */
+  async applyChange(change) {
+    const actors = this.selectedActors;
+    if (!actors.length) {
+      ui.notifications.warn('VGMusic.Bulk.NoSelection', { localize: true });
+      return;
+    }
+    try {
+      const count = await change(actors, this.#filters.section, { tokens: this.#draft.tokens, scene: this.#filters.scene });
+      ui.notifications.info(game.i18n.format('VGMusic.Bulk.Updated', { count }));
+    } catch (error) {
+      console.error('VGMusic | Error updating music in bulk:', error);
+      ui.notifications.error('VGMusic.Bulk.UpdateFailed', { localize: true });
+    }
+    refreshMusic();
+    this.render();
+  }
+
+  /**
+   * Select every shown actor, or none if all are selected
+   */
+  static toggleAll() {
+    const actors = this.actors;
+    const select = !actors.every((actor) => this.#selected.has(actor.id));
+    for (const actor of actors) {
+      if (select) this.#selected.add(actor.id);
+      else this.#selected.delete(actor.id);
+    }
+    this.render();
+  }
+
+  /**
+   * Assign the picked playlist, initial track and priority to the selected actors
+   */
+  static async applyMusic() {
+    const { playlist, initialTrack, priority } = this.#draft;
+    if (!playlist) {
+      ui.notifications.warn('VGMusic.Bulk.NoPlaylist', { localize: true });
+      return;
+    }
+    await this.applyChange((actors, key, options) => setSectionMusic(actors, key, { playlist, initialTrack, priority: priority ?? this.defaultPriority }, options));
+  }
+
+  /**
+   * Remove the shown section from the selected actors
+   */
+  static async clearMusic() {
+    const count = this.selectedActors.length;
+    if (!count) {
+      ui.notifications.warn('VGMusic.Bulk.NoSelection', { localize: true });
+      return;
+    }
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'VGMusic.Bulk.Clear' },
+      content: `<p>${game.i18n.format('VGMusic.Bulk.ClearConfirm', { count })}</p>`
+    });
+    if (confirmed) await this.applyChange(clearSectionMusic);
+  }
+
+  /**
+   * Remember an actor's section for pasting onto the selected actors
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static copyMusic(_event, target) {
+    this.#copied = target.closest('[data-actor-id]').dataset.actorId;
+    this.render();
+  }
+
+  /**
+   * Copy the remembered actor's section onto the selected actors
+   */
+  static async pasteMusic() {
+    const source = game.actors.get(this.#copied);
+    if (source) await this.applyChange((actors, key, options) => copySectionMusic(source, actors, key, options));
+  }
+
+  /**
+   * Open the music configuration of an actor
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static configureMusic(_event, target) {
+    const actor = game.actors.get(target.closest('[data-actor-id]').dataset.actorId);
+    if (actor) new VGMusicConfig(actor).render(true);
+  }
+
+  /**
+   * Handle form changes by storing the filters, the selection and the music to assign
+   * @param {Event} _event - The change event
+   * @param {HTMLFormElement} _form - The form element
+   * @param {object} formData - The form data
+   */
+  static async formHandler(_event, _form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const filters = { ...this.#filters, ...data.filters };
+    const draft = { ...this.#draft, ...data.draft };
+    if (filters.section !== this.#filters.section) draft.priority = null;
+    if (draft.playlist !== this.#draft.playlist) draft.initialTrack = '';
+    this.#filters = filters;
+    this.#draft = draft;
+    for (const [id, selected] of Object.entries(data.selected ?? {})) {
+      if (selected) this.#selected.add(id);
+      else this.#selected.delete(id);
+    }
+    this.render();
+  }
+}
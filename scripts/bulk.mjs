@@ -0,0 +1,136 @@
+import { CONST } from './config.mjs';
+
+/**
+ * Filters of the bulk music editor, empty fields match every actor
+ * @typedef {object} BulkFilters
+ * @property {string} folder - Actor folder ID, also matching its subfolders
+ * @property {string} type - Actor type
+ * @property {string} scene - Scene ID the actor must have a token placed in
+ */
+
+/**
+ * Get the world's actors matching the bulk editor's filters, sorted by name
+ * @param {BulkFilters} filters - Filters to apply
+ * @returns {Actor[]} Matching actors
+ */
+export function filterActors({ folder = '', type = '', scene = '' } = {}) {
+  const placed = scene ? new Set(game.scenes.get(scene)?.tokens.map((token) => token.actorId)) : null;
+  return game.actors
+    .filter((actor) => {
+      if (type && actor.type !== type) return false;
+      if (placed && !placed.has(actor.id)) return false;
+      if (!folder) return true;
+      return !!actor.folder && [actor.folder, ...actor.folder.ancestors].some((f) => f.id === folder);
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the tokens of an actor placed in scenes
+ * @param {Actor} actor - The actor
+ * @param {string} [scene] - Only look in this scene, all scenes if empty
+ * @returns {TokenDocument[]} Placed tokens
+ */
+export function getPlacedTokens(actor, scene = '') {
+  const scenes = scene ? [game.scenes.get(scene)].filter(Boolean) : game.scenes;
+  return scenes.flatMap((s) => s.tokens.filter((token) => token.actorId === actor.id));
+}
+
+/**
+ * Get a music section of a document
+ * @param {Document} document - Actor or token
+ * @param {string} key - Section key
+ * @returns {object|null} A copy of the section, null if not configured
+ */
+export function getSection(document, key) {
+  const section = document.flags[CONST.moduleId]?.music?.[key];
+  return section ? foundry.utils.deepClone(section) : null;
+}
+
+/**
+ * Rewrite a music section on many actors and optionally their placed tokens
+ * Each section is replaced as a whole in one update, so no stale keys survive. The updates skip the music refresh
+ * each changed document would cause; callers refresh once when done.
+ * @param {Actor[]} actors - Actors to change
+ * @param {string} key - Section key
+ * @param {Function} build - Called with the current section data or null, returns the new section or null to remove it
+ * @param {object} [options] - Where else to write the section
+ * @param {boolean} [options.tokens] - Also change the placed tokens of the actors
+ * @param {string} [options.scene] - Only change tokens placed in this scene
+ * @returns {Promise<number>} Number of changed actors and tokens
+ */
+async function writeSections(actors, key, build, { tokens = false, scene = '' } = {}) {
+  const options = { [CONST.moduleId]: { refresh: false } };
+  const getUpdates = (documents) =>
+    documents.flatMap((document) => {
+      const current = getSection(document, key);
+      const section = build(current);
+      if (section) return [{ _id: document.id, [`flags.${CONST.moduleId}.music.==${key}`]: section }];
+      return current ? [{ _id: document.id, [`flags.${CONST.moduleId}.music.-=${key}`]: null }] : [];
+    });
+  const actorUpdates = getUpdates(actors);
+  if (actorUpdates.length) await Actor.implementation.updateDocuments(actorUpdates, options);
+  let count = actorUpdates.length;
+  if (!tokens) return count;
+  const byScene = new Map();
+  for (const token of actors.flatMap((actor) => getPlacedTokens(actor, scene))) {
+    if (!byScene.has(token.parent)) byScene.set(token.parent, []);
+    byScene.get(token.parent).push(token);
+  }
+  for (const [parent, placed] of byScene) {
+    const tokenUpdates = getUpdates(placed);
+    if (tokenUpdates.length) await parent.updateEmbeddedDocuments('Token', tokenUpdates, options);
+    count += tokenUpdates.length;
+  }
+  return count;
+}
+
+/**
+ * Assign a playlist, initial track and priority to a music section
+ * Other settings of the section are kept, except track references when the playlist changes.
+ * @param {Actor[]} actors - Actors to change
+ * @param {string} key - Section key
+ * @param {{playlist: string, initialTrack: string, priority: number}} music - Playlist UUID, track ID and priority
+ * @param {object} [options] - Token options, see writeSections
+ * @returns {Promise<number>} Number of changed actors and tokens
+ */
+export function setSectionMusic(actors, key, { playlist, initialTrack, priority }, options) {
+  return writeSections(
+    actors,
+    key,
+    (current) => {
+      const section = current ?? {};
+      if (section.playlist !== playlist) {
+        delete section.introTrack;
+        for (const list of CONST.sectionTrackLists) delete section[list];
+      }
+      return { ...section, playlist, initialTrack, priority };
+    },
+    options
+  );
+}
+
+/**
+ * Remove a music section
+ * @param {Actor[]} actors - Actors to change
+ * @param {string} key - Section key
+ * @param {object} [options] - Token options, see writeSections
+ * @returns {Promise<number>} Number of changed actors and tokens
+ */
+export function clearSectionMusic(actors, key, options) {
+  return writeSections(actors, key, () => null, options);
+}
+
+/**
+ * Copy a music section of one actor onto other actors, removing it from them if the source has none
+ * @param {Actor} source - Actor to copy from
+ * @param {Actor[]} actors - Actors to change
+ * @param {string} key - Section key
+ * @param {object} [options] - Token options, see writeSections
+ * @returns {Promise<number>} Number of changed actors and tokens
+ */
+export function copySectionMusic(source, actors, key, options) {
+  const section = getSection(source, key);
+  const targets = actors.filter((actor) => actor !== source);
+  return writeSections(targets, key, () => foundry.utils.deepClone(section), options);
+}
@@ -3,13 +3,78 @@
  */
 export const CONST = {
   moduleId: 'vgmusic',
-  settings: { silentCombatMusicMode: 'silentCombatMusicMode', defaultMusic: 'defaultMusic', suppressArea: 'suppressArea', suppressCombat: 'suppressCombat' },
-  silentModes: { highestPriority: 'highestPriority', lastActor: 'lastActor', area: 'area', generic: 'generic' },
+  socket: 'module.vgmusic',
+  settings: {
+    silentCombatMusicMode: 'silentCombatMusicMode',
+    defaultMusic: 'defaultMusic',
+    suppressArea: 'suppressArea',
+    suppressCombat: 'suppressCombat',
+    crossfadeDuration: 'crossfadeDuration',
+    crossfadeCurve: 'crossfadeCurve',
+    hpAttribute: 'hpAttribute',
+    overrides: 'overrides',
+    playbackMode: 'playbackMode',
+    localProgress: 'localProgress',
+    triggers: 'triggers',
+    mutedContexts: 'mutedContexts',
+    schemaVersion: 'schemaVersion',
+    actorTypeMusic: 'actorTypeMusic'
+  },
+  silentModes: { highestPriority: 'highestPriority', lastActor: 'lastActor', area: 'area', generic: 'generic', faction: 'faction' },
+  playbackModes: { global: 'global', viewedScene: 'viewedScene' },
+  sectionTrackLists: ['layers', 'phases', 'variants'],
+  auditProblems: { missingPlaylist: 'missingPlaylist', missingTrack: 'missingTrack', staleProgress: 'staleProgress', unreachableSection: 'unreachableSection' },
+  importStatus: { update: 'update', unchanged: 'unchanged', missing: 'missing' },
+  memoryScopes: { combat: 'combat', combatant: 'combatant', actor: 'actor', scene: 'scene', restart: 'restart' },
+  muteModes: { skip: 'skip', suppress: 'suppress' },
+  fadeCurves: { linear: 'linear', equalPower: 'equalPower', exponential: 'exponential' },
+  layerConditions: { always: 'always', round: 'round', hostilesDefeated: 'hostilesDefeated', partyDown: 'partyDown' },
+  timesOfDay: { day: 'day', night: 'night' },
+  nightDarkness: 0.5,
+  layerFadeDuration: 1000,
+  phaseCrossfadeDuration: 2000,
+  trackAdvanceDelay: 500,
+  rotationEndLead: 500,
+  rotationStartSpan: 0.75,
+  triggerConditions: { tokenTag: 'tokenTag', statusEffect: 'statusEffect', journalOpen: 'journalOpen', combatant: 'combatant', setting: 'setting' },
+  combatOutcomes: { victory: 'victory', defeat: 'defeat' },
+  hpAttribute: 'system.attributes.hp',
+  schemaVersion: 2,
   playlistSections: {
-    DefaultMusic: { combat: { label: 'VGMusic.PlaylistSection.Combat', priority: -5 } },
-    Scene: { area: { label: 'VGMusic.PlaylistSection.Area', priority: -20 }, combat: { label: 'VGMusic.PlaylistSection.Combat', priority: -10 } },
-    Actor: { combat: { label: 'VGMusic.PlaylistSection.Combat', priority: 0 } },
-    Token: { combat: { label: 'VGMusic.PlaylistSection.Combat', priority: 5 } }
+    DefaultMusic: {
+      combat: { label: 'VGMusic.PlaylistSection.Combat', priority: -5 },
+      victory: { label: 'VGMusic.PlaylistSection.Victory', priority: -5 },
+      defeat: { label: 'VGMusic.PlaylistSection.Defeat', priority: -5 }
+    },
+    Scene: {
+      area: { label: 'VGMusic.PlaylistSection.Area', priority: -20 },
+      combat: { label: 'VGMusic.PlaylistSection.Combat', priority: -10 },
+      victory: { label: 'VGMusic.PlaylistSection.Victory', priority: -10 },
+      defeat: { label: 'VGMusic.PlaylistSection.Defeat', priority: -10 }
+    },
+    Region: { area: { label: 'VGMusic.PlaylistSection.Area', priority: -15 } },
+    MusicTrigger: { trigger: { label: 'VGMusic.PlaylistSection.Trigger', priority: 0 } },
+    Folder: {
+      combat: { label: 'VGMusic.PlaylistSection.Combat', priority: 0 },
+      victory: { label: 'VGMusic.PlaylistSection.Victory', priority: 0 },
+      defeat: { label: 'VGMusic.PlaylistSection.Defeat', priority: 0 }
+    },
+    ActorType: {
+      combat: { label: 'VGMusic.PlaylistSection.Combat', priority: 0 },
+      victory: { label: 'VGMusic.PlaylistSection.Victory', priority: 0 },
+      defeat: { label: 'VGMusic.PlaylistSection.Defeat', priority: 0 }
+    },
+    Actor: {
+      combat: { label: 'VGMusic.PlaylistSection.Combat', priority: 0 },
+      victory: { label: 'VGMusic.PlaylistSection.Victory', priority: 0 },
+      defeat: { label: 'VGMusic.PlaylistSection.Defeat', priority: 0 }
+    },
+    Token: {
+      combat: { label: 'VGMusic.PlaylistSection.Combat', priority: 5 },
+      victory: { label: 'VGMusic.PlaylistSection.Victory', priority: 5 },
+      defeat: { label: 'VGMusic.PlaylistSection.Defeat', priority: 5 }
+    }
   },
-  documentSortPriority: ['Token', 'Actor', 'Scene', 'DefaultMusic']
+  combatantSources: ['Token', 'Actor', 'Folder', 'ActorType'],
+  documentSortPriority: ['MusicTrigger', 'Token', 'Actor', 'Folder', 'ActorType', 'Region', 'Scene', 'DefaultMusic']
 };
@@ -0,0 +1,179 @@
+import { CONST } from './config.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM dashboard showing every candidate music context and why the current one won
+ * Only the client that controls the music knows the live context, so the dashboard only opens there.
+ */
+export class MusicDirector extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'vgmusic-director',
+    window: { title: 'VGMusic.Director.Title', icon: 'fas fa-sliders', resizable: true },
+    classes: ['dnd5e2'],
+    position: { width: 820, height: 'auto' },
+    actions: {
+      pinContext: MusicDirector.pinContext,
+      skipContext: MusicDirector.skipContext,
+      suppressContext: MusicDirector.suppressContext
+    }
+  };
+
+  /** @override */
+  static PARTS = { main: { template: 'modules/vgmusic/templates/director.hbs' } };
+
+  /**
+   * Hooks after which the dashboard re-renders
+   * @type {string[]}
+   */
+  static REFRESH_HOOKS = [
+    'vgmusic.trackChanged',
+    'canvasReady',
+    'createCombat',
+    'updateCombat',
+    'deleteCombat',
+    'updateCombatant',
+    'updateScene',
+    'createToken',
+    'updateToken',
+    'deleteToken',
+    'updateActor',
+    'updateRegion',
+    'createActiveEffect',
+    'deleteActiveEffect',
+    'updateSetting',
+    'updateWorldTime'
+  ];
+
+  /**
+   * Registered hook IDs keyed by hook name
+   * @type {Map<string, number>}
+   */
+  #hooks = new Map();
+
+  /**
+   * Re-render at most once per burst of hook calls
+   * @type {Function}
+   */
+  #refresh = foundry.utils.debounce(() => {
+    if (this.rendered) this.render();
+  }, 100);
+
+  /**
+   * Candidate contexts of the last render, keyed by context key
+   * @type {Map<string, PlaylistContext>}
+   */
+  #contexts = new Map();
+
+  /**
+   * Get the music controller
+   * @returns {MusicController} The module's music controller
+   */
+  get controller() {
+    return game.vgmusic.musicController;
+  }
+
+  /**
+   * Describe a context for display
+   * @param {PlaylistContext} context - The context to describe
+   * @returns {object} Display data
+   */
+  describeContext(context) {
+    const entity = context.contextEntity;
+    const documentName = entity?.documentName ?? (entity?.constructor?.name === 'PrototypeToken' ? 'Token' : null);
+    const sectionLabel = CONST.playlistSections[documentName]?.[context.context]?.label;
+    let source = entity?.name ?? entity?.parent?.name;
+    if (documentName === 'DefaultMusic') source = game.i18n.localize('VGMusic.Settings.DefaultMusic.Name');
+    if (context.context === 'override') source = game.i18n.localize('VGMusic.Director.Override');
+    return {
+      key: context.key,
+      section: sectionLabel ? game.i18n.localize(sectionLabel) : context.context,
+      source: source ?? '',
+      documentName: documentName ?? '',
+      priority: Number.isFinite(context.priority) ? context.priority : '∞',
+      playlist: context.playlist?.name ?? (context.compendiumPlaylist ? (fromUuidSync(context.compendiumPlaylist)?.name ?? '') : ''),
+      track: context.track?.name ?? ''
+    };
+  }
+
+  /** @override */
+  _prepareContext(_options) {
+    const controller = this.controller;
+    const { overrides, stinger, candidates, winner } = controller.explainPlaylists();
+    const winnerKey = winner?.key;
+    const muted = new Map(controller.mutedContexts.map((entry) => [entry.key, entry.mode]));
+    this.#contexts = new Map(candidates.map(({ context }) => [context.key, context]));
+    const pinned = [...overrides, stinger].filter(Boolean).map((context) => ({ ...this.describeContext(context), winner: context.key === winnerKey }));
+    const rows = candidates
+      .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))
+      .map(({ context, reason, position }) => ({
+        ...this.describeContext(context),
+        position: position ?? '—',
+        reason: reason ? game.i18n.localize(reason) : '',
+        winner: context.key === winnerKey,
+        skipped: muted.get(context.key) === CONST.muteModes.skip,
+        suppressed: muted.get(context.key) === CONST.muteModes.suppress
+      }));
+    const current = controller.currentContext ? this.describeContext(controller.currentContext) : null;
+    return { current, pinned, rows };
+  }
+
+  /** @override */
+  _canRender(options) {
+    if (this.controller.canControlMusic()) return super._canRender(options);
+    if (options.force) ui.notifications.warn('VGMusic.Director.NotController', { localize: true });
+    return false;
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    for (const hook of MusicDirector.REFRESH_HOOKS) this.#hooks.set(hook, Hooks.on(hook, this.#refresh));
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    for (const [hook, id] of this.#hooks) Hooks.off(hook, id);
+    this.#hooks.clear();
+  }
+
+  /**
+   * Find the candidate context of a clicked row
+   * @param {HTMLElement} target - The clicked element
+   * @returns {PlaylistContext|undefined} The row's context
+   */
+  getRowContext(target) {
+    return this.#contexts.get(target.closest('[data-key]')?.dataset.key);
+  }
+
+  /**
+   * Pin a context above all automatic music as an override
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async pinContext(_event, target) {
+    const context = this.getRowContext(target);
+    if (context?.track) await this.controller.pushOverride(context.withTrack(context.track.id));
+  }
+
+  /**
+   * Skip a context until it stops being a candidate, or restore it
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async skipContext(_event, target) {
+    const context = this.getRowContext(target);
+    if (context) await this.controller.toggleMutedContext(context, CONST.muteModes.skip);
+  }
+
+  /**
+   * Suppress a context until restored, or restore it
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async suppressContext(_event, target) {
+    const context = this.getRowContext(target);
+    if (context) await this.controller.toggleMutedContext(context, CONST.muteModes.suppress);
+  }
+}
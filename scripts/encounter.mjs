@@ -0,0 +1,141 @@
+import { CONST } from './config.mjs';
+import { getActorHP } from './helpers.mjs';
+
+/**
+ * Encounter state used to drive combat intensity layers
+ * @typedef {object} EncounterState
+ * @property {number} round - The current combat round
+ * @property {number} hostilesDefeated - Percentage of hostile combatants defeated (0-100)
+ * @property {boolean} partyDown - Whether a player-owned combatant is at 0 HP
+ */
+
+/**
+ * Check whether a combatant is out of the fight
+ * @param {Combatant} combatant - The combatant to check
+ * @returns {boolean} True if the combatant is defeated or at 0 HP
+ */
+export function isCombatantDown(combatant) {
+  return combatant.isDefeated || (getActorHP(combatant.actor)?.value ?? 1) <= 0;
+}
+
+/**
+ * Check whether a combatant fights on the party's side
+ * @param {Combatant} combatant - The combatant to check
+ * @returns {boolean} True if player-owned or friendly
+ */
+export function isAllyCombatant(combatant) {
+  return !!combatant.actor?.hasPlayerOwner || combatant.token?.disposition === foundry.CONST.TOKEN_DISPOSITIONS.FRIENDLY;
+}
+
+/**
+ * Check whether a combatant fights against the party
+ * @param {Combatant} combatant - The combatant to check
+ * @returns {boolean} True if hostile and not player-owned
+ */
+export function isHostileCombatant(combatant) {
+  return !combatant.actor?.hasPlayerOwner && combatant.token?.disposition === foundry.CONST.TOKEN_DISPOSITIONS.HOSTILE;
+}
+
+/**
+ * Rank the side a combatant fights on, most hostile first
+ * @param {Combatant|null} combatant - The combatant to rank
+ * @returns {number} 2 for hostile or secret, 1 for neutral, 0 for friendly or player-owned, -1 without a combatant
+ */
+export function getFactionRank(combatant) {
+  if (!combatant) return -1;
+  if (combatant.actor?.hasPlayerOwner) return 0;
+  const dispositions = foundry.CONST.TOKEN_DISPOSITIONS;
+  switch (combatant.token?.disposition) {
+    case dispositions.FRIENDLY:
+      return 0;
+    case dispositions.NEUTRAL:
+      return 1;
+    default:
+      return 2;
+  }
+}
+
+/**
+ * Check whether a combatant matches a disposition, actor type and actor folder filter
+ * Empty fields match any combatant, and a folder also matches actors in its subfolders.
+ * @param {Combatant} combatant - The combatant to check
+ * @param {object} filter - The filter
+ * @param {string|number} [filter.disposition] - Token disposition from TOKEN_DISPOSITIONS
+ * @param {string} [filter.actorType] - Actor type
+ * @param {string} [filter.folder] - Actor folder ID
+ * @returns {boolean} True if the combatant matches
+ */
+export function matchesCombatantFilter(combatant, { disposition = '', actorType = '', folder = '' } = {}) {
+  if (disposition !== '' && disposition !== null && String(combatant.token?.disposition) !== String(disposition)) return false;
+  if (actorType && combatant.actor?.type !== actorType) return false;
+  if (!folder) return true;
+  const actorFolder = (game.actors.get(combatant.actorId) ?? combatant.actor)?.folder;
+  return !!actorFolder && [actorFolder, ...actorFolder.ancestors].some((f) => f.id === folder);
+}
+
+/**
+ * Check whether the combat conditions of a music section are met
+ * @param {object|undefined} conditions - The section's conditions
+ * @param {Combatant|null} combatant - The combatant providing the music, if any
+ * @param {Combat|undefined} combat - The current combat
+ * @returns {boolean} True if the section may play
+ */
+export function areCombatConditionsMet(conditions, combatant, combat) {
+  if (!conditions) return true;
+  if (combatant) {
+    if (conditions.ownTurn && combat?.combatant !== combatant) return false;
+    if (!matchesCombatantFilter(combatant, { disposition: conditions.disposition })) return false;
+  }
+  const present = conditions.present ?? {};
+  if (!Object.values(present).some((value) => value !== '' && value !== null && value !== undefined)) return true;
+  return (combat?.combatants.contents ?? []).some((other) => !isCombatantDown(other) && matchesCombatantFilter(other, present));
+}
+
+/**
+ * Work out how a combat ended from combatant dispositions and defeated status
+ * @param {Combat} combat - The finished combat
+ * @returns {string|null} Outcome from CONST.combatOutcomes, or null if undecided
+ */
+export function getCombatOutcome(combat) {
+  const combatants = combat?.combatants?.contents ?? [];
+  const allies = combatants.filter(isAllyCombatant);
+  const hostiles = combatants.filter(isHostileCombatant);
+  if (allies.length && allies.every(isCombatantDown)) return CONST.combatOutcomes.defeat;
+  if (hostiles.length && hostiles.every(isCombatantDown)) return CONST.combatOutcomes.victory;
+  return null;
+}
+
+/**
+ * Get the encounter state of a combat
+ * @param {Combat|undefined} combat - The combat to inspect
+ * @returns {EncounterState} The encounter state
+ */
+export function getEncounterState(combat) {
+  const combatants = combat?.combatants?.contents ?? [];
+  const hostiles = combatants.filter(isHostileCombatant);
+  const defeated = hostiles.filter(isCombatantDown).length;
+  const partyDown = combatants.some((combatant) => combatant.actor?.hasPlayerOwner && (getActorHP(combatant.actor)?.value ?? 1) <= 0);
+  return { round: combat?.round ?? 0, hostilesDefeated: hostiles.length ? (defeated / hostiles.length) * 100 : 0, partyDown };
+}
+
+/**
+ * Check whether a layer should be audible in the given encounter state
+ * @param {object} layer - Layer configuration
+ * @param {string} layer.condition - Condition from CONST.layerConditions
+ * @param {number} [layer.threshold] - Threshold for round and defeated conditions
+ * @param {EncounterState} state - The encounter state
+ * @returns {boolean} True if the layer should be audible
+ */
+export function isLayerActive(layer, state) {
+  const threshold = Number(layer.threshold) || 0;
+  switch (layer.condition) {
+    case CONST.layerConditions.round:
+      return state.round >= threshold;
+    case CONST.layerConditions.hostilesDefeated:
+      return state.hostilesDefeated >= threshold;
+    case CONST.layerConditions.partyDown:
+      return state.partyDown;
+    default:
+      return true;
+  }
+}
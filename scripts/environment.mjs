@@ -0,0 +1,79 @@
+import { CONST } from './config.mjs';
+
+/**
+ * Environment state used to pick area music variants
+ * @typedef {object} EnvironmentState
+ * @property {string} time - Time of day from CONST.timesOfDay
+ * @property {string} weather - The scene's weather effect ID, or an empty string for clear weather
+ * @property {string} season - Name of the current calendar season, or an empty string if unknown
+ */
+
+/**
+ * Get the scene a music document belongs to
+ * @param {Document} document - A scene or a document embedded in one
+ * @returns {Scene|null} The scene or null
+ */
+export function getDocumentScene(document) {
+  if (document instanceof Scene) return document;
+  return document?.parent instanceof Scene ? document.parent : null;
+}
+
+/**
+ * Get the name of the current season from the world calendar
+ * @returns {string} The season name, or an empty string if the calendar has no seasons
+ */
+export function getCurrentSeason() {
+  const seasonIndex = game.time.components?.season;
+  return game.time.calendar?.seasons?.values?.[seasonIndex]?.name ?? '';
+}
+
+/**
+ * Get the seasons of the world calendar for configuration choices
+ * @returns {Record<string, string>} Localized season names keyed by season name
+ */
+export function getSeasonChoices() {
+  const seasons = game.time.calendar?.seasons?.values ?? [];
+  return Object.fromEntries(seasons.map((season) => [season.name, game.i18n.localize(season.name)]));
+}
+
+/**
+ * Get the environment of a scene
+ * Calls the `vgmusic.getEnvironment` hook so calendar and weather modules can adjust the state.
+ * @param {Scene|null} scene - The scene to check
+ * @returns {EnvironmentState} The environment state
+ */
+export function getEnvironmentState(scene) {
+  const darkness = scene?.environment?.darknessLevel ?? 0;
+  const state = {
+    time: darkness >= CONST.nightDarkness ? CONST.timesOfDay.night : CONST.timesOfDay.day,
+    weather: scene?.weather ?? '',
+    season: getCurrentSeason()
+  };
+  Hooks.callAll('vgmusic.getEnvironment', state, scene);
+  return state;
+}
+
+/**
+ * Check whether a variant matches the given environment
+ * @param {object} variant - Variant configuration
+ * @param {string} [variant.time] - Required time of day, or empty for any
+ * @param {string} [variant.weather] - Required weather effect, or empty for any
+ * @param {string} [variant.season] - Required season, or empty for any
+ * @param {EnvironmentState} state - The environment state
+ * @returns {boolean} True if every condition of the variant is met
+ */
+export function isVariantActive(variant, state) {
+  if (variant.time && variant.time !== state.time) return false;
+  if (variant.weather && variant.weather !== state.weather) return false;
+  if (variant.season && variant.season !== state.season) return false;
+  return true;
+}
+
+/**
+ * Count how many conditions a variant sets, so more specific variants win
+ * @param {object} variant - Variant configuration
+ * @returns {number} Number of conditions
+ */
+export function getVariantSpecificity(variant) {
+  return ['time', 'weather', 'season'].filter((key) => variant[key]).length;
+}
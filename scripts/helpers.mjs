@@ -1,4 +1,6 @@
 import { CONST } from './config.mjs';
+import { getDocumentScene, getVariantSpecificity, isVariantActive } from './environment.mjs';
+import { getRotation } from './rotation.mjs';
 
 /**
  * Utility helper functions
@@ -20,6 +22,106 @@ export function isHeadGM() {
   return game.user === getFirstAvailableGM();
 }
 
+/**
+ * Check if a token belongs to the player party
+ * @param {TokenDocument} token - The token to check
+ * @returns {boolean} True if the token's actor is owned by a player
+ */
+export function isPartyToken(token) {
+  return !!token?.actor?.hasPlayerOwner;
+}
+
+/**
+ * Check whether a playlist moves on to its next track when one ends, as sequential and shuffle playlists do
+ * @param {Playlist|null} playlist - The playlist to check
+ * @returns {boolean} True if the playlist advances
+ */
+export function isAdvancingPlaylist(playlist) {
+  const modes = foundry.CONST.PLAYLIST_MODES;
+  return [modes.SEQUENTIAL, modes.SHUFFLE].includes(playlist?.mode);
+}
+
+/**
+ * Check whether a playlist reference points into a compendium pack
+ * @param {string} reference - Playlist UUID or legacy ID
+ * @returns {boolean} True for compendium UUIDs
+ */
+export function isCompendiumReference(reference) {
+  return typeof reference === 'string' && reference.startsWith('Compendium.');
+}
+
+/**
+ * Find the world playlist a music section refers to
+ * Compendium playlists resolve to the world copy imported from them.
+ * @param {string} reference - Playlist UUID or legacy ID
+ * @returns {Playlist|null} The world playlist or null
+ */
+export function resolvePlaylistReference(reference) {
+  if (!reference || typeof reference !== 'string') return null;
+  if (!reference.includes('.')) return game.playlists.get(reference) ?? null;
+  if (isCompendiumReference(reference)) return game.playlists.find((playlist) => playlist._stats?.compendiumSource === reference) ?? null;
+  const playlist = fromUuidSync(reference);
+  return playlist instanceof Playlist ? playlist : null;
+}
+
+/**
+ * Compendium playlists being imported
+ * @type {Set<string>}
+ */
+const requestedImports = new Set();
+
+/**
+ * Import a compendium playlist into the world, unless it already was
+ * Only the head GM imports; other clients ask it to through requestPlaylistImport.
+ * @param {string} uuid - Compendium UUID of the playlist
+ * @returns {Promise<Playlist|null>} The world playlist, or null if this client does not import it or the import failed
+ */
+export async function importCompendiumPlaylist(uuid) {
+  if (!isHeadGM() || requestedImports.has(uuid)) return null;
+  requestedImports.add(uuid);
+  try {
+    const source = await fromUuid(uuid);
+    if (!(source instanceof Playlist) || !source.compendium) return null;
+    return resolvePlaylistReference(uuid) ?? (await game.playlists.importFromCompendium(source.compendium, source.id));
+  } catch (error) {
+    console.error('VGMusic | Error importing compendium playlist:', error);
+    return null;
+  } finally {
+    requestedImports.delete(uuid);
+  }
+}
+
+/**
+ * Get the configured path to an actor's hit points
+ * @returns {string} Attribute path holding `value` and `max`
+ */
+export function getHPAttribute() {
+  return game.settings.get(CONST.moduleId, CONST.settings.hpAttribute) || CONST.hpAttribute;
+}
+
+/**
+ * Get the percentage of hit points an actor has left
+ * @param {Actor} actor - The actor to inspect
+ * @returns {number|null} HP percentage (0-100), or null if unavailable
+ */
+export function getActorHPPercent(actor) {
+  const hp = getActorHP(actor);
+  if (!hp?.max) return null;
+  return Math.clamp((hp.value / hp.max) * 100, 0, 100);
+}
+
+/**
+ * Get the hit points of an actor
+ * @param {Actor} actor - The actor to inspect
+ * @returns {{value: number, max: number}|null} Current and maximum HP, or null if unavailable
+ */
+export function getActorHP(actor) {
+  const hp = actor ? getProperty(actor, getHPAttribute()) : null;
+  const value = Number(hp?.value);
+  if (!Number.isFinite(value)) return null;
+  return { value, max: Number(hp.max) || 0 };
+}
+
 /**
  * Get property from object using dot notation
  * @param {object} object - Source object
@@ -41,6 +143,34 @@ export function setProperty(object, path, value) {
   return foundry.utils.setProperty(object, path, value);
 }
 
+/**
+ * Get the document a context stores its playback progress on, following its section's memory setting
+ * @param {string|undefined} memory - Memory scope from CONST.memoryScopes, empty for the context's default
+ * @param {Document|object} document - The document providing the music
+ * @param {Document|null} scopeEntity - The context's default scope entity
+ * @param {Combatant|null} combatant - The combatant providing the music, if any
+ * @returns {Document|null} The scope entity, or null to always start from the beginning
+ */
+export function getMemoryScope(memory, document, scopeEntity, combatant) {
+  const controller = game.vgmusic?.musicController;
+  switch (memory) {
+    case CONST.memoryScopes.restart:
+      return null;
+    case CONST.memoryScopes.combat:
+      return combatant?.parent ?? controller?.currentCombat ?? scopeEntity;
+    case CONST.memoryScopes.combatant:
+      return combatant ?? scopeEntity;
+    case CONST.memoryScopes.actor: {
+      const actor = combatant?.actor ?? (document instanceof Actor ? document : (document?.actor ?? null));
+      return (actor && game.actors.get(actor.id)) ?? scopeEntity;
+    }
+    case CONST.memoryScopes.scene:
+      return combatant?.parent?.scene ?? getDocumentScene(document) ?? controller?.currentScene ?? scopeEntity;
+    default:
+      return scopeEntity;
+  }
+}
+
 /**
  * Playlist context class for managing music contexts
  */
@@ -60,6 +190,22 @@ export class PlaylistContext {
     this.trackId = trackId;
     this.priority = priority;
     this.scopeEntity = scopeEntity;
+    this.section = null;
+    this.isIntro = false;
+    this.combatant = null;
+    this.environment = null;
+    this.compendiumPlaylist = null;
+    this._rotation = undefined;
+  }
+
+  /**
+   * Get a key identifying this context's source, stable across re-resolution
+   * @returns {string} The context key
+   */
+  get key() {
+    const entity = this.contextEntity;
+    const prototypeKey = entity?.constructor?.name === 'PrototypeToken' ? `${entity.parent?.uuid}.prototypeToken` : null;
+    return `${this.context}:${entity?.uuid ?? prototypeKey ?? entity?.id ?? entity?.documentName}`;
   }
 
   /**
@@ -67,49 +213,241 @@ export class PlaylistContext {
    * @returns {object|null} The track or null
    */
   get track() {
-    if (this.trackId) return this.playlist?.sounds.get(this.trackId);
+    const phaseTrack = this.phaseTrack;
+    if (phaseTrack) return phaseTrack;
+    const variantTrack = this.variantTrack;
+    if (variantTrack) return variantTrack;
+    if (this.rotation) return this.rotationTrack;
+    const cursorTrack = this.cursorTrack;
+    if (cursorTrack) return cursorTrack;
+    const initialTrack = this.trackId ? this.playlist?.sounds.get(this.trackId) : null;
+    if (initialTrack) return initialTrack;
     const firstTrackId = this.playlist?.playbackOrder?.[0];
     return firstTrackId ? this.playlist.sounds.get(firstTrackId) : null;
   }
 
+  /**
+   * Get the track an advancing playlist moved on to for this context's scope entity
+   * @returns {object|null} The remembered track, or null if the playlist has not advanced
+   */
+  get cursorTrack() {
+    if (this.isIntro || !this.scopeEntity || !isAdvancingPlaylist(this.playlist)) return null;
+    const trackId = game.vgmusic?.musicController?.playback.getCursor(this.scopeEntity, this.playlist);
+    return trackId ? (this.playlist.sounds.get(trackId) ?? null) : null;
+  }
+
+  /**
+   * Get the weighted track rotation of an area context, resolved once per context
+   * @returns {Rotation|null} The rotation, or null if the section does not rotate
+   */
+  get rotation() {
+    if (this.isIntro || this.context !== 'area') return null;
+    if (this._rotation === undefined) this._rotation = getRotation(this.section);
+    return this._rotation;
+  }
+
+  /**
+   * Get the track the music controller picked for the area rotation
+   * @returns {object|null} The rotation's track, or null before it starts and while it is silent between tracks
+   */
+  get rotationTrack() {
+    const state = game.vgmusic?.musicController?.rotations.get(this.key);
+    return state && !state.silent ? state.track : null;
+  }
+
+  /**
+   * Get the boss phase track matching the combatant's remaining hit points
+   * @returns {object|null} The phase track, or null if no phase threshold has been crossed
+   */
+  get phaseTrack() {
+    if (this.isIntro || !this.section?.phases) return null;
+    const hpPercent = getActorHPPercent(this.combatant?.actor);
+    if (hpPercent === null) return null;
+    const phase = Object.values(this.section.phases)
+      .filter((p) => p.track && hpPercent <= Number(p.threshold))
+      .sort((a, b) => a.threshold - b.threshold)[0];
+    return phase ? (this.playlist?.sounds.get(phase.track) ?? null) : null;
+  }
+
+  /**
+   * Get the area variant track matching the scene's time of day, weather and season
+   * The environment is resolved once per refresh by the music controller and stored on the context.
+   * @returns {object|null} The variant track, or null if no variant matches
+   */
+  get variantTrack() {
+    if (this.isIntro || this.context !== 'area' || !this.section?.variants || !this.environment) return null;
+    const variant = Object.values(this.section.variants)
+      .filter((v) => v.track && isVariantActive(v, this.environment))
+      .sort((a, b) => getVariantSpecificity(b) - getVariantSpecificity(a))[0];
+    return variant ? (this.playlist?.sounds.get(variant.track) ?? null) : null;
+  }
+
+  /**
+   * Get the intensity layers that play alongside this context's track
+   * The other tracks of a simultaneous playlist always play as layers, unless the context rotates through its own tracks.
+   * @returns {object[]} Layer configurations with their resolved tracks
+   */
+  get layers() {
+    if (this.isIntro) return [];
+    const mainTrack = this.track;
+    const layers = Object.values(this.section?.layers ?? {})
+      .map((layer) => ({ ...layer, track: this.playlist.sounds.get(layer.track) }))
+      .filter((layer) => layer.track && layer.track !== mainTrack);
+    if (this.playlist?.mode !== foundry.CONST.PLAYLIST_MODES.SIMULTANEOUS || this.rotation) return layers;
+    const layered = new Set(layers.map((layer) => layer.track));
+    for (const sound of this.playlist.sounds) {
+      if (sound !== mainTrack && !layered.has(sound)) layers.push({ track: sound, condition: CONST.layerConditions.always, threshold: 0 });
+    }
+    return layers;
+  }
+
+  /**
+   * Get the encounter intro that plays once before this context's track
+   * @returns {object|null} The intro track or null
+   */
+  get introTrack() {
+    const introId = this.section?.introTrack;
+    return introId ? (this.playlist?.sounds.get(introId) ?? null) : null;
+  }
+
+  /**
+   * Create a copy of this context that plays a different track
+   * @param {string} trackId - The track to play
+   * @returns {PlaylistContext} The copied context
+   */
+  withTrack(trackId) {
+    const context = new this.constructor(this.context, this.contextEntity, this.playlist, trackId, this.priority, this.scopeEntity);
+    context.section = this.section;
+    context.combatant = this.combatant;
+    context.environment = this.environment;
+    return context;
+  }
+
+  /**
+   * Get the crossfade used when transitioning into this context
+   * @returns {{duration: number, curve: string}} Crossfade duration in milliseconds and curve
+   */
+  get crossfade() {
+    const sectionFade = this.section?.crossfade ?? {};
+    const duration = Number.isFinite(sectionFade.duration) ? sectionFade.duration : game.settings.get(CONST.moduleId, CONST.settings.crossfadeDuration);
+    const curve = sectionFade.curve || game.settings.get(CONST.moduleId, CONST.settings.crossfadeCurve);
+    return { duration, curve };
+  }
+
+  /**
+   * Get the music section data stored on a document
+   * @param {Document|object} document - Source document or data model
+   * @param {string} type - Music type ('area' or 'combat')
+   * @returns {object|null} Section data or null
+   */
+  static getSectionData(document, type) {
+    if (document instanceof foundry.abstract.Document) return document.getFlag(CONST.moduleId, `music.${type}`) ?? null;
+    if (document?.constructor?.name === 'PrototypeToken') return document.flags?.[CONST.moduleId]?.music?.[type] ?? null;
+    if (['DefaultMusic', 'MusicTrigger', 'ActorType'].includes(document?.documentName)) return document.data?.vgmusic?.music?.[type] ?? null;
+    return null;
+  }
+
   /**
    * Create playlist context from document
+   * A section whose compendium playlist is not imported yet gives a context without a playlist, which names it in
+   * `compendiumPlaylist` so the controller can have it imported should the context win.
    * @param {Document|object} document - Source document or data model
    * @param {string} type - Music type ('area' or 'combat')
-   * @param {Document} scopeEntity - Scope entity for progress tracking
+   * @param {Document} scopeEntity - Default scope entity for progress tracking, replaced by the section's memory setting
+   * @param {Combatant|null} [combatant] - The combatant providing the music, if any
    * @returns {PlaylistContext|null} Created context or null
    */
-  static fromDocument(document, type = 'combat', scopeEntity = null) {
-    if (document instanceof foundry.abstract.Document) {
-      const playlistId = document.getFlag(CONST.moduleId, `music.${type}.playlist`);
-      const playlist = playlistId ? game.playlists.get(playlistId) : null;
-      if (!playlist) return null;
-      const trackId = document.getFlag(CONST.moduleId, `music.${type}.initialTrack`) || null;
-      const priority = document.getFlag(CONST.moduleId, `music.${type}.priority`) ?? 0;
-      return new this(type, document, playlist, trackId, priority, scopeEntity);
-    }
-    if (document?.constructor?.name === 'PrototypeToken') {
-      const section = document.flags?.[CONST.moduleId]?.music?.[type];
-      if (!section) return null;
-      const playlistId = section.playlist;
-      const playlist = playlistId ? game.playlists.get(playlistId) : null;
-      if (!playlist) return null;
-      const trackId = section.initialTrack || null;
-      const priority = section.priority ?? 0;
-      return new this(type, document, playlist, trackId, priority, scopeEntity);
+  static fromDocument(document, type = 'combat', scopeEntity = null, combatant = null) {
+    const section = this.getSectionData(document, type);
+    const playlist = resolvePlaylistReference(section?.playlist);
+    const compendiumPlaylist = !playlist && isCompendiumReference(section?.playlist) ? section.playlist : null;
+    if (!playlist && !compendiumPlaylist) return null;
+    const trackId = section.initialTrack || null;
+    const priority = section.priority ?? 0;
+    const context = new this(type, document, playlist, trackId, priority, getMemoryScope(section.memory, document, scopeEntity, combatant));
+    context.section = section;
+    context.combatant = combatant;
+    context.compendiumPlaylist = compendiumPlaylist;
+    return context;
+  }
+}
+
+/**
+ * Get the gain of a fade-in curve at a point in the fade
+ * @param {string} curve - The fade curve from CONST.fadeCurves
+ * @param {number} progress - Fade progress between 0 and 1
+ * @returns {number} Gain between 0 and 1
+ */
+export function getFadeGain(curve, progress) {
+  const t = Math.clamp(progress, 0, 1);
+  if (curve === CONST.fadeCurves.equalPower) return Math.sin((t * Math.PI) / 2);
+  if (curve === CONST.fadeCurves.exponential) return t === 0 ? 0 : Math.pow(2, 10 * (t - 1));
+  return t;
+}
+
+/**
+ * Ramp the gain of a sound along a fade curve, waiting for it to start if needed
+ * @param {Sound} sound - The sound to ramp
+ * @param {object} options - Ramp options
+ * @param {number|null} options.from - Starting volume, or null to start from the current gain
+ * @param {number} options.to - Final volume
+ * @param {number} options.duration - Fade duration in milliseconds
+ * @param {string} options.curve - Fade curve from CONST.fadeCurves
+ */
+export function rampSound(sound, { from, to, duration, curve }) {
+  if (!sound) return;
+  const receivedAt = performance.now();
+  const apply = () => {
+    const gain = sound.gain?.gain;
+    if (!gain) return;
+    const elapsed = performance.now() - receivedAt;
+    const remaining = duration - elapsed;
+    const now = sound.context.currentTime;
+    const startVolume = from ?? gain.value;
+    gain.cancelScheduledValues(now);
+    if (remaining <= 0) {
+      gain.setValueAtTime(to, now);
+      return;
     }
-    if (document.documentName === 'DefaultMusic') {
-      const section = document.data?.vgmusic?.music?.[type];
-      if (!section) return null;
-      const playlistId = section.playlist;
-      const playlist = playlistId ? game.playlists.get(playlistId) : null;
-      if (!playlist) return null;
-      const trackId = section.initialTrack || null;
-      const priority = section.priority ?? 0;
-      return new this(type, document, playlist, trackId, priority, scopeEntity);
+    const steps = 32;
+    const values = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+      const progress = (elapsed + (remaining * i) / (steps - 1)) / duration;
+      values[i] = startVolume + (to - startVolume) * getFadeGain(curve, progress);
     }
-    return null;
-  }
+    gain.setValueCurveAtTime(values, now, remaining / 1000);
+  };
+  if (sound.playing) apply();
+  else sound.addEventListener('play', () => setTimeout(apply, 0), { once: true });
+}
+
+/**
+ * Ramp the local gain of a playing track along a fade curve
+ * @param {object} data - Fade instruction
+ * @param {string} data.playlistId - Playlist ID of the track
+ * @param {string} data.trackId - Track ID
+ * @param {number|null} data.from - Starting volume, or null to start from the current gain
+ * @param {number} data.to - Final volume
+ * @param {number} data.duration - Fade duration in milliseconds
+ * @param {string} data.curve - Fade curve from CONST.fadeCurves
+ */
+export function rampTrack({ playlistId, trackId, ...options }) {
+  rampSound(game.playlists.get(playlistId)?.sounds.get(trackId)?.sound, options);
+}
+
+/**
+ * Fade a track on every client with a single socket message
+ * @param {object} track - The track to fade
+ * @param {object} options - Fade options
+ * @param {number|null} options.from - Starting volume, or null to start from the current gain
+ * @param {number} options.to - Final volume
+ * @param {number} options.duration - Fade duration in milliseconds
+ * @param {string} options.curve - Fade curve from CONST.fadeCurves
+ */
+export function broadcastFade(track, { from, to, duration, curve }) {
+  const data = { action: 'fade', playlistId: track.parent.id, trackId: track.id, from, to, duration, curve };
+  game.socket.emit(CONST.socket, data);
+  rampTrack(data);
 }
 
 /**
@@ -119,10 +457,21 @@ export class FadingTrack {
   /**
    * @param {object} track - The track to fade
    * @param {number} fadeDuration - Duration of fade in milliseconds
+   * @param {object} [options] - Fade options
+   * @param {string|null} [options.direction] - Fade direction ('in' or 'out')
+   * @param {number|null} [options.fromVolume] - Volume a fade starts from, or null for the current gain
+   * @param {string} [options.curve] - Fade curve from CONST.fadeCurves
+   * @param {object} [options.playback] - Playback used to ramp and stop the track
    */
-  constructor(track, fadeDuration = 1000) {
+  constructor(track, fadeDuration = 1000, { direction = null, fromVolume = null, curve = CONST.fadeCurves.linear, playback = null } = {}) {
     this.track = track;
     this.fadeDuration = fadeDuration;
+    this.direction = direction;
+    this.fromVolume = fromVolume;
+    this.targetVolume = (track && playback?.getVolume(track)) ?? track?.volume ?? 1;
+    this.curve = curve;
+    this.playback = playback;
+    this.cancelled = false;
     setTimeout(() => this.delete(), this.fadeDuration + 10);
   }
 
@@ -130,7 +479,7 @@ export class FadingTrack {
    * Start the fade operation
    */
   async startFade() {
-    if (!this.track) {
+    if (!this.track || !this.playback) {
       this.delete();
       return;
     }
@@ -139,41 +488,38 @@ export class FadingTrack {
       else if (this.direction === 'in') await this.fadeIn();
     } catch (error) {
       console.error('FadingTrack | Error during fade:', error);
-      if (this.direction === 'out') await this.track.update({ playing: false, pausedTime: null });
+      if (this.direction === 'out') await this.playback.stop(this.track);
     }
     this.delete();
   }
 
   /**
-   * Perform fade out operation
+   * Perform fade out operation, stopping the track once it has ramped down
    */
   async fadeOut() {
-    if (!this.track.playing) return;
-    const startVolume = this.track.volume;
-    const steps = 20;
-    const stepDuration = this.fadeDuration / steps;
-    const volumeStep = startVolume / steps;
-    for (let i = 0; i < steps; i++) {
-      const newVolume = Math.max(0, startVolume - volumeStep * (i + 1));
-      await this.track.update({ volume: newVolume });
-      await new Promise((resolve) => setTimeout(resolve, stepDuration));
-    }
-    await this.track.update({ playing: false, pausedTime: null, volume: startVolume });
+    if (!this.playback.isPlaying(this.track)) return;
+    this.playback.fade(this.track, { from: this.fromVolume, to: 0, duration: this.fadeDuration, curve: this.curve });
+    await new Promise((resolve) => setTimeout(resolve, this.fadeDuration));
+    if (this.cancelled) return;
+    await this.playback.stop(this.track);
   }
 
   /**
    * Perform fade in operation
    */
   async fadeIn() {
-    const steps = 20; // Number of volume steps
-    const stepDuration = this.fadeDuration / steps;
-    const volumeStep = this.targetVolume / steps;
-    await this.track.update({ volume: 0 });
-    for (let i = 0; i < steps; i++) {
-      const newVolume = Math.min(this.targetVolume, volumeStep * (i + 1));
-      await this.track.update({ volume: newVolume });
-      await new Promise((resolve) => setTimeout(resolve, stepDuration));
-    }
+    this.playback.fade(this.track, { from: this.fromVolume, to: this.targetVolume, duration: this.fadeDuration, curve: this.curve });
+    await new Promise((resolve) => setTimeout(resolve, this.fadeDuration));
+  }
+
+  /**
+   * Stop tracking this fade without triggering playback changes
+   */
+  cancel() {
+    this.cancelled = true;
+    const controller = game.vgmusic?.musicController;
+    const index = controller?.fadingTracks.indexOf(this) ?? -1;
+    if (index >= 0) controller.fadingTracks.splice(index, 1);
   }
 
   /**
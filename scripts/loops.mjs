@@ -0,0 +1,109 @@
+import { CONST } from './config.mjs';
+
+/**
+ * Get the loop region of a track
+ * Loop points only apply to repeating tracks: the part before the loop start plays once as an intro,
+ * then playback loops between the loop start and the loop end, or the end of the file.
+ * @param {PlaylistSound|null} track - The track
+ * @returns {{start: number, end: number|null}|null} Loop start and end in seconds, or null if the track loops as a whole
+ */
+export function getLoopRegion(track) {
+  const loop = track?.flags?.[CONST.moduleId]?.loop;
+  if (!track?.repeat || !loop) return null;
+  const start = Math.max(0, Number(loop.start) || 0);
+  const end = Number(loop.end) > start ? Number(loop.end) : null;
+  if (!start && end === null) return null;
+  return { start, end };
+}
+
+/**
+ * Get the loop options to pass to Sound#play for a track
+ * @param {PlaylistSound} track - The track
+ * @param {number} duration - Length of the loaded file in seconds
+ * @returns {{loopStart?: number, loopEnd?: number}} Loop start and end in seconds, empty if the track loops as a whole
+ */
+export function getLoopOptions(track, duration) {
+  const region = getLoopRegion(track);
+  if (!region) return {};
+  return { loopStart: region.start, loopEnd: region.end ?? duration };
+}
+
+/**
+ * Fold a playback position that ran past the loop end back into the loop region
+ * @param {number} time - Position in seconds as if the file never looped
+ * @param {{start: number, end: number|null}|null} region - The loop region
+ * @param {number} duration - Length of the file in seconds
+ * @returns {number} The position within the file
+ */
+export function foldLoopPosition(time, region, duration) {
+  const end = region?.end ?? duration;
+  if (!region || !(end > region.start) || time < end) return time;
+  return region.start + ((time - region.start) % (end - region.start));
+}
+
+/**
+ * Get the position a track's sound is at, keeping it within the loop region
+ * @param {Sound|null} sound - The sound playing the track
+ * @param {PlaylistSound} track - The track
+ * @returns {number} Playback position in seconds
+ */
+export function getTrackPosition(sound, track) {
+  if (!sound) return 0;
+  const duration = sound.duration || 0;
+  const time = sound.currentTime ?? 0;
+  const region = getLoopRegion(track);
+  if (region) return foldLoopPosition(time, region, duration);
+  return duration ? time % duration : time;
+}
+
+/**
+ * Start a track shared through its document with its loop points, once its file is loaded and its length known
+ * @param {PlaylistSound} track - The playing track
+ * @returns {Promise<Sound|void>} The started sound
+ */
+async function playLoopingTrack(track) {
+  const sound = track.sound;
+  const offset = track.pausedTime || 0;
+  if (!sound.loaded) await sound.load();
+  if (!track.playing || sound.playing || !getLoopRegion(track)) return;
+  return sound.play({ loop: true, ...getLoopOptions(track, sound.duration), offset, volume: track.volume, fade: offset ? 0 : track.fadeDuration });
+}
+
+/**
+ * Wrap PlaylistSound#sync so tracks shared through their documents start with their loop points
+ * Core only passes the repeat flag when it starts a playing track, so only starting a track with a loop region is
+ * taken over; every other sync, and any subclass of PlaylistSound, goes through core as before.
+ */
+export function registerLoopingTracks() {
+  const prototype = foundry.documents.PlaylistSound.prototype;
+  const sync = prototype.sync;
+  prototype.sync = function (...args) {
+    const sound = this.sound;
+    if (!getLoopRegion(this) || !this.playing || !sound || sound.failed || sound.playing) return sync.apply(this, args);
+    return playLoopingTrack(this);
+  };
+}
+
+/**
+ * Store edited loop points on their tracks, with one update per playlist, removing them where both are empty
+ * @param {Record<string, Record<string, {start: number|null, end: number|null}>>} loops - Loop points in seconds keyed by playlist ID, then track ID
+ */
+export async function saveLoopPoints(loops) {
+  for (const [playlistId, tracks] of Object.entries(loops ?? {})) {
+    const playlist = game.playlists.get(playlistId);
+    if (!playlist) continue;
+    const updates = [];
+    for (const [trackId, points] of Object.entries(tracks ?? {})) {
+      const track = playlist.sounds.get(trackId);
+      if (!track) continue;
+      const current = track.flags[CONST.moduleId]?.loop;
+      const loop = { start: Math.max(0, Number(points?.start) || 0), end: Number(points?.end) || null };
+      if (!loop.start && !loop.end) {
+        if (current) updates.push({ _id: trackId, [`flags.${CONST.moduleId}.-=loop`]: null });
+      } else if (current?.start !== loop.start || current?.end !== loop.end) {
+        updates.push({ _id: trackId, [`flags.${CONST.moduleId}.loop`]: loop });
+      }
+    }
+    if (updates.length) await playlist.updateEmbeddedDocuments('PlaylistSound', updates);
+  }
+}
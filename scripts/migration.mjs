@@ -0,0 +1,176 @@
+import { getAllActorTypeMusic } from './actor-types.mjs';
+import { CONST } from './config.mjs';
+import { isCompendiumReference, resolvePlaylistReference } from './helpers.mjs';
+
+/**
+ * Get updates turning legacy playlist IDs of music sections into world playlist UUIDs
+ * @param {object|undefined} music - Music sections keyed by section
+ * @param {string} prefix - Update path of the music object
+ * @returns {object} Update data, empty if nothing changes
+ */
+function getPlaylistUuidUpdates(music, prefix) {
+  const updates = {};
+  for (const [key, section] of Object.entries(music ?? {})) {
+    const reference = section?.playlist;
+    if (typeof reference === 'string' && reference && !reference.includes('.')) updates[`${prefix}.${key}.playlist`] = `Playlist.${reference}`;
+  }
+  return updates;
+}
+
+/**
+ * Get updates for the music sections of documents in a collection
+ * Actor deltas are keyed by the ID of their token.
+ * @param {Iterable<Document>} documents - Documents to check
+ * @returns {object[]} Update data with document IDs
+ */
+function getDocumentUpdates(documents) {
+  const updates = [];
+  for (const document of documents) {
+    const update = getPlaylistUuidUpdates(document.flags[CONST.moduleId]?.music, `flags.${CONST.moduleId}.music`);
+    const id = document.documentName === 'ActorDelta' ? document.parent.id : document.id;
+    if (!foundry.utils.isEmpty(update)) updates.push({ _id: id, ...update });
+  }
+  return updates;
+}
+
+/**
+ * Rewrite music sections that store playlist IDs to store playlist UUIDs instead
+ * @returns {Promise<number>} Number of updated documents and settings
+ */
+async function migratePlaylistReferences() {
+  let count = 0;
+  for (const scene of game.scenes) {
+    const [sceneUpdate] = getDocumentUpdates([scene]);
+    if (sceneUpdate) await scene.update(sceneUpdate);
+    const regionUpdates = getDocumentUpdates(scene.regions);
+    if (regionUpdates.length) await scene.updateEmbeddedDocuments('Region', regionUpdates);
+    const tokenUpdates = getDocumentUpdates(scene.tokens);
+    if (tokenUpdates.length) await scene.updateEmbeddedDocuments('Token', tokenUpdates);
+    const deltaUpdates = getDocumentUpdates(scene.tokens.map((token) => token.delta).filter(Boolean));
+    for (const { _id, ...update } of deltaUpdates) await scene.tokens.get(_id).delta.update(update);
+    count += (sceneUpdate ? 1 : 0) + regionUpdates.length + tokenUpdates.length + deltaUpdates.length;
+  }
+  const actorUpdates = game.actors
+    .map((actor) => {
+      const update = {
+        ...getPlaylistUuidUpdates(actor.flags[CONST.moduleId]?.music, `flags.${CONST.moduleId}.music`),
+        ...getPlaylistUuidUpdates(actor.prototypeToken.flags[CONST.moduleId]?.music, `prototypeToken.flags.${CONST.moduleId}.music`)
+      };
+      return foundry.utils.isEmpty(update) ? null : { _id: actor.id, ...update };
+    })
+    .filter(Boolean);
+  if (actorUpdates.length) await Actor.implementation.updateDocuments(actorUpdates);
+  count += actorUpdates.length;
+  const defaultMusic = game.settings.get(CONST.moduleId, CONST.settings.defaultMusic);
+  const defaultUpdate = getPlaylistUuidUpdates(defaultMusic?.data?.vgmusic?.music, 'data.vgmusic.music');
+  if (!foundry.utils.isEmpty(defaultUpdate)) {
+    await game.settings.set(CONST.moduleId, CONST.settings.defaultMusic, foundry.utils.mergeObject(defaultMusic, defaultUpdate, { inplace: false }));
+    count++;
+  }
+  const triggers = game.settings.get(CONST.moduleId, CONST.settings.triggers) ?? [];
+  const migratedTriggers = triggers.map((trigger) => foundry.utils.mergeObject(trigger, getPlaylistUuidUpdates(trigger.data?.vgmusic?.music, 'data.vgmusic.music'), { inplace: false }));
+  if (!foundry.utils.objectsEqual(triggers, migratedTriggers)) {
+    await game.settings.set(CONST.moduleId, CONST.settings.triggers, migratedTriggers);
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Schema migrations in the order they run, each upgrading the data to its version
+ * Version 1 is the original layout: playlist IDs in `flags.vgmusic.music` of scenes, regions, actors and tokens,
+ * `prototypeToken.flags.vgmusic.music` on actors, `data.vgmusic.music` in the default music setting
+ * and `flags.vgmusic.playlist.<playlistId>.<trackId>` progress records. Unlinked tokens keep actor music in
+ * `delta.flags.vgmusic.music`, where their synthetic actors write it.
+ * Fields added since version 2, such as section memory, combat conditions, rotations, playlist cursors, folder and
+ * actor type music and track loop points, are optional and read with defaults, so they need no migration.
+ * @type {{version: number, migrate: Function}[]}
+ */
+const MIGRATIONS = [{ version: 2, migrate: migratePlaylistReferences }];
+
+/**
+ * A music section stored somewhere in the world
+ * @typedef {object} StoredSection
+ * @property {Document|object} owner - The document, prototype token, default music or trigger holding the section
+ * @property {string} documentName - Type of the owner
+ * @property {string} name - Display name of the owner
+ * @property {string} key - Section key, such as 'area' or 'combat'
+ * @property {object} section - The section data
+ */
+
+/**
+ * Collect every music section stored in the world
+ * @returns {StoredSection[]} Stored sections
+ */
+export function collectMusicSections() {
+  const sections = [];
+  const add = (owner, documentName, name, music) => {
+    for (const [key, section] of Object.entries(music ?? {})) if (section) sections.push({ owner, documentName, name, key, section });
+  };
+  for (const scene of game.scenes) {
+    add(scene, 'Scene', scene.name, scene.flags[CONST.moduleId]?.music);
+    for (const region of scene.regions) add(region, 'Region', `${scene.name}: ${region.name}`, region.flags[CONST.moduleId]?.music);
+    for (const token of scene.tokens) {
+      add(token, 'Token', `${scene.name}: ${token.name}`, token.flags[CONST.moduleId]?.music);
+      if (token.delta) add(token.delta, 'ActorDelta', `${scene.name}: ${token.name}`, token.delta.flags?.[CONST.moduleId]?.music);
+    }
+  }
+  for (const actor of game.actors) {
+    add(actor, 'Actor', actor.name, actor.flags[CONST.moduleId]?.music);
+    add(actor.prototypeToken, 'PrototypeToken', actor.name, actor.prototypeToken.flags[CONST.moduleId]?.music);
+  }
+  for (const folder of game.folders.filter((f) => f.type === 'Actor')) add(folder, 'Folder', folder.name, folder.flags[CONST.moduleId]?.music);
+  for (const entry of getAllActorTypeMusic()) add(entry, 'ActorType', entry.name, entry.data.vgmusic.music);
+  const defaultMusic = game.settings.get(CONST.moduleId, CONST.settings.defaultMusic);
+  add(defaultMusic, 'DefaultMusic', game.i18n.localize('VGMusic.Settings.DefaultMusic.Name'), defaultMusic?.data?.vgmusic?.music);
+  for (const trigger of game.settings.get(CONST.moduleId, CONST.settings.triggers) ?? []) add(trigger, 'MusicTrigger', trigger.name, trigger.data?.vgmusic?.music);
+  return sections;
+}
+
+/**
+ * Check whether a section's playlist reference can no longer be resolved
+ * @param {object} section - Music section data
+ * @returns {boolean} True if the section names a playlist that does not exist
+ */
+export function isOrphanedSection(section) {
+  const reference = section?.playlist;
+  if (!reference) return false;
+  if (isCompendiumReference(reference)) return !resolvePlaylistReference(reference) && !fromUuidSync(reference);
+  return !resolvePlaylistReference(reference);
+}
+
+/**
+ * Work out which schema version the stored data uses
+ * Worlds without a recorded version use the original layout if they hold any music, and are new otherwise.
+ * @returns {number} The stored schema version
+ */
+function detectSchemaVersion() {
+  const recorded = game.settings.get(CONST.moduleId, CONST.settings.schemaVersion);
+  if (recorded > 0) return recorded;
+  return collectMusicSections().length ? 1 : CONST.schemaVersion;
+}
+
+/**
+ * Upgrade stored music data to the current schema version, report orphaned playlist references and record the version
+ * Only the head GM runs migrations.
+ */
+export async function runMigrations() {
+  const stored = detectSchemaVersion();
+  const pending = MIGRATIONS.filter((migration) => migration.version > stored);
+  for (const migration of pending) {
+    const count = await migration.migrate();
+    console.log(`VGMusic | Migrated music data to schema version ${migration.version}, updating ${count} documents and settings`);
+  }
+  if (pending.length) {
+    const orphans = collectMusicSections().filter(({ section }) => isOrphanedSection(section));
+    if (orphans.length) {
+      console.warn(
+        'VGMusic | Music sections referring to missing playlists:',
+        orphans.map(({ documentName, name, key, section }) => ({ documentName, name, key, playlist: section.playlist }))
+      );
+      ui.notifications.warn(game.i18n.format('VGMusic.Migration.Orphans', { count: orphans.length }));
+    }
+    ui.notifications.info(game.i18n.format('VGMusic.Migration.Complete', { version: CONST.schemaVersion }));
+  }
+  if (game.settings.get(CONST.moduleId, CONST.settings.schemaVersion) < CONST.schemaVersion) await game.settings.set(CONST.moduleId, CONST.settings.schemaVersion, CONST.schemaVersion);
+}
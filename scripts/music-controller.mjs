@@ -1,5 +1,13 @@
 import { CONST } from './config.mjs';
-import { FadingTrack, isHeadGM, PlaylistContext } from './helpers.mjs';
+import { getActorTypeMusic } from './actor-types.mjs';
+import { FadingTrack, isAdvancingPlaylist, isHeadGM, isPartyToken, PlaylistContext } from './helpers.mjs';
+import { foldLoopPosition, getLoopRegion, getTrackPosition } from './loops.mjs';
+import { GlobalPlayback, LocalPlayback } from './playback.mjs';
+import { getRotationGap, pickRotationTrack } from './rotation.mjs';
+import { getEnvironmentState } from './environment.mjs';
+import { isTriggerActive } from './triggers.mjs';
+import { requestPlaylistImport } from './socket.mjs';
+import { areCombatConditionsMet, getCombatOutcome, getEncounterState, getFactionRank, isAllyCombatant, isHostileCombatant, isLayerActive } from './encounter.mjs';
 
 /**
  * Get document type name, treating PrototypeToken as 'Token'
@@ -12,6 +20,15 @@ function getEntityTypeName(entity) {
   return undefined;
 }
 
+/**
+ * Check whether a context plays an actor's own music, set on the actor, its folder or its actor type
+ * @param {PlaylistContext} context - The context to check
+ * @returns {boolean} True for actor-level music
+ */
+function isActorMusic(context) {
+  return ['Actor', 'Folder', 'ActorType'].includes(getEntityTypeName(context.contextEntity));
+}
+
 /**
  * Core music controller for managing playlist playback
  */
@@ -19,32 +36,72 @@ export class MusicController {
   /** Creates a new MusicController instance */
   constructor() {
     this.currentContext = null;
+    this.playingTrack = null;
     this.fadingTracks = [];
     this.pendingPlayback = null;
+    this.layers = [];
+    this.stinger = null;
+    this.stingerEnd = null;
+    this.intro = null;
+    this.introEnd = null;
+    this.playedIntros = new Set();
+    this.rotations = new Map();
+    this.overrideTimeout = null;
+    this._playback = null;
+  }
+
+  /**
+   * Check whether each client plays music for the scene it views
+   * @returns {boolean} True in per-viewed-scene playback mode
+   */
+  get isLocalMode() {
+    return game.settings.get(CONST.moduleId, CONST.settings.playbackMode) === CONST.playbackModes.viewedScene;
+  }
+
+  /**
+   * Get the playback used to start, stop and fade tracks
+   * @returns {GlobalPlayback|LocalPlayback} The playback for the configured mode
+   */
+  get playback() {
+    this._playback ??= this.isLocalMode ? new LocalPlayback() : new GlobalPlayback();
+    return this._playback;
   }
 
   /**
-   * Get the current combat for the active scene
+   * Check whether this client decides which music plays
+   * @returns {boolean} True for the head GM, or for every client in per-viewed-scene mode
+   */
+  canControlMusic() {
+    return this.isLocalMode || isHeadGM();
+  }
+
+  /**
+   * Get the current combat for the current scene
    * @returns {object|undefined} The current combat or undefined
    */
   get currentCombat() {
-    return game.combats.find((combat) => combat.scene === this.currentScene) || game.combats.find((combat) => combat.active);
+    const sceneCombat = game.combats.find((combat) => combat.scene === this.currentScene);
+    if (this.isLocalMode) return sceneCombat || game.combats.find((combat) => combat.active && !combat.scene);
+    return sceneCombat || game.combats.find((combat) => combat.active);
   }
 
   /**
-   * Get the currently active scene
-   * @returns {object|undefined} The active scene or undefined
+   * Get the scene music plays for: the active scene, or the viewed scene in per-viewed-scene mode
+   * @returns {object|undefined} The current scene or undefined
    */
   get currentScene() {
+    if (this.isLocalMode && game.scenes.viewed) return game.scenes.viewed;
     return game.scenes.find((scene) => scene.active);
   }
 
   /**
    * Get the currently playing track
+   * This is the track the current context resolved to when it started, which may differ from what it resolves to now
+   * after a phase change, a playlist reorder or a deleted track.
    * @returns {object|null} The current track or null
    */
   get currentTrack() {
-    return this.currentContext?.track;
+    return this.currentContext ? this.playingTrack : null;
   }
 
   /**
@@ -53,9 +110,7 @@ export class MusicController {
    */
   get currentTrackInfo() {
     if (!this.currentTrack) return {};
-    const track = this.currentTrack;
-    const info = this.currentContext?.scopeEntity?.getFlag(CONST.moduleId, `playlist.${track.parent.id}.${track.id}`);
-    return info;
+    return this.playback.getProgress(this.currentContext?.scopeEntity, this.currentTrack);
   }
 
   /**
@@ -92,17 +147,18 @@ export class MusicController {
    * Determine which document to use for combatant music
    * @param {object} token - The combatant's token
    * @param {object} actor - The combatant's actor
+   * @param {string} [type] - Music section type
    * @returns {Document|object|null} The document to use for music lookup
    */
-  _getCombatantMusicSource(token, actor) {
+  _getCombatantMusicSource(token, actor, type = 'combat') {
     if (!token && !actor) return null;
-    const tokenHasMusic = token?.getFlag(CONST.moduleId, 'music.combat.playlist');
+    const tokenHasMusic = token?.getFlag(CONST.moduleId, `music.${type}.playlist`);
     const prototypeToken = actor?.prototypeToken;
-    const prototypeHasMusic = prototypeToken?.flags?.[CONST.moduleId]?.music?.combat?.playlist;
-    const actorHasMusic = actor?.getFlag(CONST.moduleId, 'music.combat.playlist');
+    const prototypeHasMusic = prototypeToken?.flags?.[CONST.moduleId]?.music?.[type]?.playlist;
+    const actorHasMusic = actor?.getFlag(CONST.moduleId, `music.${type}.playlist`);
     if (token && !token.actorLink) {
       if (tokenHasMusic) return token;
-      return actorHasMusic ? actor : null;
+      return actorHasMusic ? actor : this._getInheritedMusicSource(actor, type);
     }
     if (token && token.actorLink) {
       if (tokenHasMusic) {
@@ -111,7 +167,66 @@ export class MusicController {
       }
       if (prototypeHasMusic) return prototypeToken;
     }
-    return actorHasMusic ? actor : null;
+    return actorHasMusic ? actor : this._getInheritedMusicSource(actor, type);
+  }
+
+  /**
+   * Find music an actor inherits from its nearest folder with music, then from its actor type
+   * @param {object} actor - The combatant's actor
+   * @param {string} type - Music section type
+   * @returns {Folder|object|null} The folder or actor type music to use, or null
+   */
+  _getInheritedMusicSource(actor, type) {
+    if (!actor) return null;
+    const baseActor = game.actors.get(actor.id) ?? actor;
+    for (let folder = baseActor.folder; folder; folder = folder.folder) {
+      if (folder.getFlag(CONST.moduleId, `music.${type}.playlist`)) return folder;
+    }
+    const typeMusic = getActorTypeMusic(actor.type);
+    return typeMusic.data.vgmusic.music[type]?.playlist ? typeMusic : null;
+  }
+
+  /**
+   * Get the music context a combatant provides
+   * @param {Combatant} combatant - The combatant to resolve
+   * @param {string} [type] - Music section type
+   * @returns {PlaylistContext|null} The combatant's context or null
+   */
+  getCombatantContext(combatant, type = 'combat') {
+    const musicSource = this._getCombatantMusicSource(combatant.token, combatant.actor, type);
+    return musicSource ? PlaylistContext.fromDocument(musicSource, type, combatant.parent, combatant) : null;
+  }
+
+  /**
+   * Get the regions of a scene which currently contain a party token
+   * @param {Scene} scene - The scene to check
+   * @returns {RegionDocument[]} Regions with area music occupied by the party
+   */
+  getOccupiedRegions(scene) {
+    if (!scene?.regions) return [];
+    return scene.regions.filter((region) => region.getFlag(CONST.moduleId, 'music.area.playlist') && Array.from(region.tokens ?? []).some(isPartyToken));
+  }
+
+  /**
+   * Get the enabled music trigger rules
+   * @returns {object[]} Trigger rules in their configured order
+   */
+  get triggers() {
+    const triggers = game.settings.get(CONST.moduleId, CONST.settings.triggers) ?? [];
+    return triggers.filter((trigger) => trigger.enabled);
+  }
+
+  /**
+   * Get the contexts of every trigger rule whose condition is met
+   * @param {Scene|undefined} scene - The scene music plays for
+   * @param {Combat|undefined} combat - The current combat
+   * @returns {PlaylistContext[]} Trigger contexts
+   */
+  getTriggerContexts(scene, combat) {
+    return this.triggers
+      .filter((trigger) => isTriggerActive(trigger, { scene, combat }))
+      .map((trigger) => PlaylistContext.fromDocument(trigger, 'trigger', scene))
+      .filter(Boolean);
   }
 
   /**
@@ -123,8 +238,11 @@ export class MusicController {
     const scene = this.currentScene;
     const combat = this.currentCombat;
     if (scene) {
-      const ctx = PlaylistContext.fromDocument(scene, 'area', scene);
-      if (ctx) contexts.push(ctx);
+      const regionContexts = this.getOccupiedRegions(scene).map((region) => PlaylistContext.fromDocument(region, 'area', region));
+      const areaContexts = [PlaylistContext.fromDocument(scene, 'area', scene), ...regionContexts].filter(Boolean);
+      const environment = areaContexts.some((ctx) => ctx.section?.variants) ? getEnvironmentState(scene) : null;
+      for (const ctx of areaContexts) ctx.environment = environment;
+      contexts.push(...areaContexts);
     }
     if (scene) {
       const ctx = PlaylistContext.fromDocument(scene, 'combat', combat);
@@ -132,11 +250,8 @@ export class MusicController {
     }
     if (combat?.combatant) {
       for (const combatant of combat.combatants) {
-        const musicSource = this._getCombatantMusicSource(combatant.token, combatant.actor);
-        if (musicSource) {
-          const ctx = PlaylistContext.fromDocument(musicSource, 'combat', combat);
-          if (ctx) contexts.push(ctx);
-        }
+        const ctx = this.getCombatantContext(combatant);
+        if (ctx) contexts.push(ctx);
       }
     }
     if (combat) {
@@ -146,20 +261,41 @@ export class MusicController {
         if (ctx) contexts.push(ctx);
       }
     }
+    contexts.push(...this.getTriggerContexts(scene, combat));
     return contexts;
   }
 
+  /**
+   * Get the contexts the GM skipped or suppressed from the Music Director
+   * @returns {{key: string, mode: string}[]} Muted context entries
+   */
+  get mutedContexts() {
+    return game.settings.get(CONST.moduleId, CONST.settings.mutedContexts) ?? [];
+  }
+
+  /**
+   * Get why a playlist context is filtered out
+   * @param {PlaylistContext} context - Context to check
+   * @returns {string|null} Localization key of the reason, or null if the context is a candidate
+   */
+  getFilterReason(context) {
+    const combat = this.currentCombat;
+    const muted = this.mutedContexts.find((entry) => entry.key === context.key);
+    if (muted) return muted.mode === CONST.muteModes.skip ? 'VGMusic.Director.Reasons.Skipped' : 'VGMusic.Director.Reasons.Suppressed';
+    if (context.context === 'combat' && !combat?.started) return 'VGMusic.Director.Reasons.CombatNotStarted';
+    if (context.context === 'combat' && game.settings.get(CONST.moduleId, CONST.settings.suppressCombat)) return 'VGMusic.Director.Reasons.CombatSuppressed';
+    if (context.context === 'combat' && !areCombatConditionsMet(context.section?.conditions, context.combatant, combat)) return 'VGMusic.Director.Reasons.ConditionsUnmet';
+    if (context.context === 'area' && game.settings.get(CONST.moduleId, CONST.settings.suppressArea)) return 'VGMusic.Director.Reasons.AreaSuppressed';
+    return null;
+  }
+
   /**
    * Filter playlist contexts based on current state
    * @param {PlaylistContext} context - Context to filter
    * @returns {boolean} True if context should be included
    */
   filterPlaylists(context) {
-    const combat = this.currentCombat;
-    if (context.context === 'combat' && !combat?.started) return false;
-    if (context.context === 'combat' && game.settings.get(CONST.moduleId, CONST.settings.suppressCombat)) return false;
-    if (context.context === 'area' && game.settings.get(CONST.moduleId, CONST.settings.suppressArea)) return false;
-    return true;
+    return !this.getFilterReason(context);
   }
 
   /**
@@ -171,11 +307,8 @@ export class MusicController {
   sortPlaylists(a, b) {
     const combat = this.currentCombat;
     const currentCombatant = combat?.combatant;
-    const currentToken = currentCombatant?.token;
-    const currentActor = currentCombatant?.actor;
-    const currentPrototype = currentActor?.prototypeToken;
-    const isCurrentA = a.contextEntity === currentToken || a.contextEntity === currentActor || a.contextEntity === currentPrototype;
-    const isCurrentB = b.contextEntity === currentToken || b.contextEntity === currentActor || b.contextEntity === currentPrototype;
+    const isCurrentA = !!currentCombatant && a.combatant === currentCombatant;
+    const isCurrentB = !!currentCombatant && b.combatant === currentCombatant;
     if (isCurrentA && !isCurrentB) return -1;
     if (isCurrentB && !isCurrentA) return 1;
     const silentMode = game.settings.get(CONST.moduleId, CONST.settings.silentCombatMusicMode);
@@ -186,25 +319,38 @@ export class MusicController {
         let i = startIdx;
         do {
           i = (i - 1 + combatants.length) % combatants.length;
-          const actor = combatants[i]?.actor;
-          const prototype = actor?.prototypeToken;
-          if (a.contextEntity === actor || a.contextEntity === prototype) return -1;
-          if (b.contextEntity === actor || b.contextEntity === prototype) return 1;
+          const combatant = combatants[i];
+          if (combatant && a.combatant === combatant) return -1;
+          if (combatant && b.combatant === combatant) return 1;
         } while (i !== (startIdx + 1) % combatants.length);
       }
     } else if (silentMode === CONST.silentModes.area) {
-      if (getEntityTypeName(a.contextEntity) !== 'Actor' && a.context === 'area') return -1;
-      if (getEntityTypeName(b.contextEntity) !== 'Actor' && b.context === 'area') return 1;
+      if (!isActorMusic(a) && a.context === 'area') return -1;
+      if (!isActorMusic(b) && b.context === 'area') return 1;
     } else if (silentMode === CONST.silentModes.generic) {
-      if (getEntityTypeName(a.contextEntity) !== 'Actor' && a.context === 'combat') return -1;
-      if (getEntityTypeName(b.contextEntity) !== 'Actor' && b.context === 'combat') return 1;
+      if (!isActorMusic(a) && a.context === 'combat') return -1;
+      if (!isActorMusic(b) && b.context === 'combat') return 1;
+    } else if (silentMode === CONST.silentModes.faction) {
+      const factionOrder = getFactionRank(b.combatant) - getFactionRank(a.combatant);
+      if (factionOrder) return factionOrder;
     }
+    return this.comparePriority(a, b);
+  }
+
+  /**
+   * Compare playlist contexts by their section priority, then by the kind of document providing them
+   * CONST.documentSortPriority lists document kinds most specific first, and the more specific one wins a tie.
+   * @param {PlaylistContext} a - First context
+   * @param {PlaylistContext} b - Second context
+   * @returns {number} Sort comparison result
+   */
+  comparePriority(a, b) {
     if (a.priority !== b.priority) return b.priority - a.priority;
     const aTypeName = getEntityTypeName(a.contextEntity);
     const bTypeName = getEntityTypeName(b.contextEntity);
     if (aTypeName !== bTypeName) {
       const priorities = CONST.documentSortPriority;
-      return priorities.indexOf(bTypeName) - priorities.indexOf(aTypeName);
+      return priorities.indexOf(aTypeName) - priorities.indexOf(bTypeName);
     }
     return 0;
   }
@@ -214,21 +360,381 @@ export class MusicController {
    * @returns {PlaylistContext|null} Current context or null
    */
   getCurrentPlaylist() {
+    const override = this.overrides.at(-1);
+    if (override) return override;
+    if (this.stinger) {
+      if (!this.currentCombat?.started) return this.stinger;
+      this.clearStinger();
+    }
     const allContexts = this.getAllCurrentPlaylists();
     const filteredContexts = allContexts.filter(this.filterPlaylists.bind(this));
     const sortedContexts = filteredContexts.sort(this.sortPlaylists.bind(this));
     return sortedContexts.length > 0 ? sortedContexts[0] : null;
   }
 
+  /**
+   * Explain how the current context was chosen, for the Music Director
+   * @returns {{overrides: PlaylistContext[], stinger: PlaylistContext|null, candidates: object[], winner: PlaylistContext|null}} Every candidate with its filter reason and sort position
+   */
+  explainPlaylists() {
+    const candidates = this.getAllCurrentPlaylists().map((context) => ({ context, reason: this.getFilterReason(context), position: null }));
+    const sorted = candidates.filter((candidate) => !candidate.reason).sort((a, b) => this.sortPlaylists(a.context, b.context));
+    sorted.forEach((candidate, index) => (candidate.position = index + 1));
+    return { overrides: this.overrides.reverse(), stinger: this.stinger, candidates, winner: this.getCurrentPlaylist() };
+  }
+
+  /**
+   * Skip or suppress a context, or restore it if it already is
+   * Skipped contexts come back once they stop being candidates; suppressed contexts stay muted until restored.
+   * @param {PlaylistContext} context - The context to mute
+   * @param {string} mode - Mode from CONST.muteModes
+   */
+  async toggleMutedContext(context, mode) {
+    const entries = this.mutedContexts.filter((entry) => entry.key !== context.key);
+    const wasMuted = this.mutedContexts.some((entry) => entry.key === context.key && entry.mode === mode);
+    if (!wasMuted) entries.push({ key: context.key, mode });
+    await game.settings.set(CONST.moduleId, CONST.settings.mutedContexts, entries);
+  }
+
+  /**
+   * Restore skipped contexts which are no longer candidates
+   * @returns {Promise<boolean>} True if the stored entries changed
+   */
+  async pruneSkippedContexts() {
+    const entries = this.mutedContexts;
+    if (!entries.some((entry) => entry.mode === CONST.muteModes.skip)) return false;
+    const keys = new Set(this.getAllCurrentPlaylists().map((context) => context.key));
+    const kept = entries.filter((entry) => entry.mode !== CONST.muteModes.skip || keys.has(entry.key));
+    if (kept.length === entries.length) return false;
+    await game.settings.set(CONST.moduleId, CONST.settings.mutedContexts, kept);
+    return true;
+  }
+
   /**
    * Play the current track based on context
+   * If the winning context's compendium playlist is not in the world yet, the head GM is asked to import it and the
+   * music keeps playing until the import refreshes every client.
    */
   async playCurrentTrack() {
-    if (!isHeadGM()) return;
-    const newContext = this.getCurrentPlaylist();
+    if (!this.canControlMusic()) return;
+    if (isHeadGM() && (await this.pruneSkippedContexts())) return;
+    const context = this.getCurrentPlaylist();
+    if (context?.compendiumPlaylist) return requestPlaylistImport(context.compendiumPlaylist);
+    const newContext = this.getIntroContext(context);
+    this.updateRotations(newContext);
     await this.playMusic(newContext);
   }
 
+  /**
+   * Get the stored override entries that have not expired
+   * @returns {object[]} Override entries, bottom of the stack first
+   */
+  get overrideEntries() {
+    const entries = game.settings.get(CONST.moduleId, CONST.settings.overrides) ?? [];
+    return entries.filter((entry) => !entry.expires || entry.expires > Date.now());
+  }
+
+  /**
+   * Get the manual override stack as playlist contexts
+   * @returns {PlaylistContext[]} Override contexts, bottom of the stack first
+   */
+  get overrides() {
+    return this.overrideEntries
+      .map((entry) => {
+        const playlist = game.playlists.get(entry.playlist);
+        if (!playlist) return null;
+        const context = new PlaylistContext('override', entry, playlist, entry.track || null, Infinity, null);
+        return context.track ? context : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Push a manual override above every automatic context
+   * @param {PlaylistContext} context - The override context
+   * @param {object} [options] - Override options
+   * @param {number} [options.duration] - Seconds until the override expires, or 0 to keep it until popped
+   * @returns {Promise<object>} The stored override entry
+   */
+  async pushOverride(context, { duration = 0 } = {}) {
+    const entry = { id: foundry.utils.randomID(), playlist: context.playlist.id, track: context.trackId, expires: duration > 0 ? Date.now() + duration * 1000 : null };
+    await game.settings.set(CONST.moduleId, CONST.settings.overrides, [...this.overrideEntries, entry]);
+    return entry;
+  }
+
+  /**
+   * Remove the topmost manual override
+   * @returns {Promise<object|null>} The removed override entry
+   */
+  async popOverride() {
+    const entries = this.overrideEntries;
+    const entry = entries.pop() ?? null;
+    await game.settings.set(CONST.moduleId, CONST.settings.overrides, entries);
+    return entry;
+  }
+
+  /**
+   * Remove every manual override
+   */
+  async clearOverrides() {
+    await game.settings.set(CONST.moduleId, CONST.settings.overrides, []);
+  }
+
+  /**
+   * Drop expired overrides, schedule the next expiry and update the music
+   */
+  async refreshOverrides() {
+    clearTimeout(this.overrideTimeout);
+    const stored = game.settings.get(CONST.moduleId, CONST.settings.overrides) ?? [];
+    const entries = this.overrideEntries;
+    if (isHeadGM() && entries.length !== stored.length) return game.settings.set(CONST.moduleId, CONST.settings.overrides, entries);
+    if (!this.canControlMusic()) return;
+    const nextExpiry = Math.min(...entries.map((entry) => entry.expires ?? Infinity));
+    if (Number.isFinite(nextExpiry)) this.overrideTimeout = setTimeout(() => this.refreshOverrides(), nextExpiry - Date.now() + 50);
+    await this.playCurrentTrack();
+  }
+
+  /**
+   * Get the victory or defeat stinger for a finished combat
+   * @param {Combat} combat - The finished combat
+   * @param {string} outcome - Outcome from CONST.combatOutcomes
+   * @returns {PlaylistContext|null} The stinger context or null
+   */
+  getStingerContext(combat, outcome) {
+    const contexts = [];
+    const isWinningSide = outcome === CONST.combatOutcomes.victory ? isAllyCombatant : isHostileCombatant;
+    for (const combatant of combat.combatants.filter(isWinningSide)) {
+      const musicSource = this._getCombatantMusicSource(combatant.token, combatant.actor, outcome);
+      const ctx = musicSource ? PlaylistContext.fromDocument(musicSource, outcome) : null;
+      if (ctx) contexts.push(ctx);
+    }
+    const scene = combat.scene ?? this.currentScene;
+    const sceneCtx = scene ? PlaylistContext.fromDocument(scene, outcome) : null;
+    if (sceneCtx) contexts.push(sceneCtx);
+    const defaultCtx = PlaylistContext.fromDocument(game.settings.get(CONST.moduleId, CONST.settings.defaultMusic), outcome);
+    if (defaultCtx) contexts.push(defaultCtx);
+    contexts.sort(this.comparePriority.bind(this));
+    return contexts[0] ?? null;
+  }
+
+  /**
+   * Play the victory or defeat stinger for a finished combat, then resume normal music
+   * @param {Combat} combat - The finished combat
+   */
+  async playStinger(combat) {
+    if (!this.canControlMusic()) return;
+    if (this.isLocalMode && combat.scene && combat.scene !== this.currentScene) return this.playCurrentTrack();
+    const outcome = combat.started ? getCombatOutcome(combat) : null;
+    const context = outcome ? this.getStingerContext(combat, outcome) : null;
+    this.clearStinger();
+    if (!context) return this.playCurrentTrack();
+    this.stinger = context;
+    await this.playCurrentTrack();
+    if (this.stinger !== context) return;
+    this.stingerEnd = this.onTrackEnd(context.track, (context.crossfade?.duration ?? 0) + 250, () => {
+      if (this.stinger !== context) return;
+      this.clearStinger();
+      this.playCurrentTrack();
+    });
+  }
+
+  /**
+   * Forget the current stinger and its end timer
+   */
+  clearStinger() {
+    this.stingerEnd?.();
+    this.stinger = null;
+    this.stingerEnd = null;
+  }
+
+  /**
+   * Forget the current encounter intro and its end timer
+   */
+  clearIntro() {
+    this.introEnd?.();
+    this.intro = null;
+    this.introEnd = null;
+  }
+
+  /**
+   * Swap a combat context for its encounter intro the first time it plays in a combat
+   * @param {PlaylistContext|null} context - The context chosen to play
+   * @returns {PlaylistContext|null} The intro context while it plays, otherwise the given context
+   */
+  getIntroContext(context) {
+    const combat = this.currentCombat;
+    const isCombat = context?.context === 'combat' && !!combat;
+    if (this.intro) {
+      if (isCombat && this.intro.scopeEntity === combat) return this.intro;
+      this.clearIntro();
+    }
+    const introTrack = isCombat ? context.introTrack : null;
+    if (!this.playback.getSound(introTrack) || this.playedIntros.has(combat.id)) return context;
+    this.playedIntros.add(combat.id);
+    const intro = context.withTrack(introTrack.id);
+    intro.isIntro = true;
+    intro.scopeEntity = combat;
+    this.intro = intro;
+    this.introEnd = this.onTrackEnd(introTrack, 100, () => {
+      if (this.intro !== intro) return;
+      this.clearIntro();
+      this.playCurrentTrack();
+    });
+    return intro;
+  }
+
+  /**
+   * Call back shortly before a one-shot track finishes
+   * @param {object} track - The track about to play
+   * @param {number} lead - How many milliseconds before the end to call back
+   * @param {Function} callback - Function to call when the track is about to end
+   * @returns {Function} Cancels the callback, also if the track has not started yet
+   */
+  onTrackEnd(track, lead, callback) {
+    const sound = this.playback.getSound(track);
+    if (!sound) {
+      callback();
+      return () => {};
+    }
+    let timeout = null;
+    const schedule = () => {
+      const remaining = Math.max(0, (sound.duration - sound.currentTime) * 1000 - lead);
+      timeout = setTimeout(callback, remaining);
+    };
+    if (sound.playing) schedule();
+    else sound.addEventListener('play', schedule, { once: true });
+    return () => {
+      clearTimeout(timeout);
+      sound.removeEventListener('play', schedule);
+    };
+  }
+
+  /**
+   * Get the track a playlist moves on to after a track ends
+   * @param {PlaylistSound} track - The track that ended
+   * @returns {PlaylistSound|null} The next track in the playlist's playback order, or null if the playlist does not advance
+   */
+  getNextTrack(track) {
+    const playlist = track.parent;
+    if (track.repeat || !isAdvancingPlaylist(playlist)) return null;
+    const order = playlist.playbackOrder;
+    const index = order.indexOf(track.id);
+    return playlist.sounds.get(order[(index + 1) % order.length]) ?? null;
+  }
+
+  /**
+   * Advance the playlist of a context once its track ends, as the playlist's mode would
+   * @param {PlaylistContext} context - The context that started the track
+   * @param {PlaylistSound} track - The started track
+   */
+  watchTrackEnd(context, track) {
+    if (context.isIntro || context === this.stinger) return;
+    const rotation = context.rotation ? this.rotations.get(context.key) : null;
+    if (rotation?.track === track) return this.watchRotation(context, rotation, track);
+    if (!this.getNextTrack(track)) return;
+    this.playback.getSound(track)?.addEventListener('end', () => this.advanceTrack(track), { once: true });
+  }
+
+  /**
+   * Move on from an ended track to the next one and remember it for the context's scope entity
+   * In shared playback core may already have started the next track itself, in which case that track is kept.
+   * @param {PlaylistSound} track - The track that ended
+   */
+  async advanceTrack(track) {
+    await new Promise((resolve) => setTimeout(resolve, CONST.trackAdvanceDelay));
+    const context = this.currentContext;
+    if (!context || this.currentTrack !== track || !this.canControlMusic()) return;
+    const layerTracks = new Set(this.layers.map((entry) => entry.track));
+    const started = track.parent.sounds.find((sound) => sound !== track && !layerTracks.has(sound) && this.playback.isPlaying(sound));
+    const next = started ?? this.getNextTrack(track);
+    if (!next) return;
+    const entity = context.scopeEntity;
+    if (!entity) return this.playMusic(context.withTrack(next.id));
+    if (!started) await this.playback.saveProgress(entity, next, { id: next.parent.id, trackId: next.id, start: 0 });
+    await this.playback.saveCursor(entity, next.parent, next.id);
+    await this.playCurrentTrack();
+  }
+
+  /**
+   * Pick the track of the rotation about to play when it starts or moves on, and stop the timers of every other rotation
+   * Rotation state lives on this client for the session, keyed by context. Contexts only read the picked track.
+   * @param {PlaylistContext|null} context - The context about to play
+   */
+  updateRotations(context) {
+    for (const [key, state] of this.rotations) if (key !== context?.key) this.stopRotation(state);
+    const rotation = context?.rotation;
+    if (!rotation) return;
+    let state = this.rotations.get(context.key);
+    if (!state) {
+      state = { track: null, previous: null, fresh: false, silent: false, lastPlayed: new Map(), timeout: null, trackEnd: null, watch: 0 };
+      this.rotations.set(context.key, state);
+    }
+    if (state.silent || rotation.tracks.some((entry) => entry.track === state.track)) return;
+    state.track = pickRotationTrack(rotation, state.lastPlayed, state.previous);
+    state.fresh = true;
+  }
+
+  /**
+   * Cancel the end and silence timers of a rotation that no longer plays
+   * A rotation stopped during a silence picks a new track when it plays again.
+   * @param {object} state - The rotation state
+   */
+  stopRotation(state) {
+    state.trackEnd?.();
+    clearTimeout(state.timeout);
+    state.trackEnd = null;
+    state.timeout = null;
+    state.silent = false;
+    state.watch++;
+  }
+
+  /**
+   * Move a rotation on shortly before its track ends, crossfading into the next track or stopping for a silence gap
+   * The next track is picked by updateRotations once the music refreshes.
+   * @param {PlaylistContext} context - The rotating context
+   * @param {object} state - The context's rotation state
+   * @param {PlaylistSound} track - The started track
+   */
+  watchRotation(context, state, track) {
+    const watch = ++state.watch;
+    const gap = getRotationGap(context.rotation);
+    const lead = gap > 0 ? CONST.rotationEndLead : Math.max(context.crossfade.duration, CONST.rotationEndLead);
+    state.trackEnd?.();
+    state.trackEnd = this.onTrackEnd(track, lead, () => {
+      if (state.watch !== watch || state.track !== track || this.currentTrack !== track || !this.canControlMusic()) return;
+      state.lastPlayed.set(track.uuid, Date.now());
+      state.previous = track;
+      state.track = null;
+      if (gap > 0) {
+        state.silent = true;
+        clearTimeout(state.timeout);
+        state.timeout = setTimeout(() => {
+          state.silent = false;
+          this.playCurrentTrack();
+        }, gap);
+      }
+      this.playCurrentTrack();
+    });
+  }
+
+  /**
+   * Get the position a track starts playing from
+   * A track a rotation just picked starts from the beginning, or a random position, rather than where it was left.
+   * Stored positions past a track's loop end are folded back into its loop region.
+   * @param {PlaylistContext} context - The context playing the track
+   * @param {PlaylistSound} track - The track about to start
+   * @returns {Promise<number>} Playback position in seconds
+   */
+  async getStartTime(context, track) {
+    const state = context.rotation ? this.rotations.get(context.key) : null;
+    if (state?.track !== track || !state.fresh) return foldLoopPosition(this.currentTrackInfo?.start ?? 0, getLoopRegion(track), Infinity);
+    state.fresh = false;
+    if (!context.rotation.randomStart) return 0;
+    const sound = this.playback.getSound(track);
+    await sound?.load();
+    return Math.random() * (sound?.duration || 0) * CONST.rotationStartSpan;
+  }
+
   /**
    * Get playlist data for a track
    * @param {Document} entity - Entity to get data from
@@ -246,35 +752,180 @@ export class MusicController {
    * @param {Document} entity - Entity to save data to
    */
   async savePlaylistData(entity) {
-    if (entity instanceof Combat && !game.combats.get(entity.id)) return;
-    if (!this.currentTrack || !entity || !isHeadGM()) return;
+    const combat = entity instanceof Combatant ? entity.parent : entity;
+    if (combat instanceof Combat && !game.combats.get(combat.id)) return;
+    if (!this.currentTrack || !entity || !this.canControlMusic()) return;
     const track = this.currentTrack;
-    const flagData = { id: track.parent.id, trackId: track.id, start: (track.sound?.currentTime ?? 0) % (track.sound?.duration ?? 100) };
-    await entity.setFlag(CONST.moduleId, `playlist.${track.parent.id}.${track.id}`, flagData);
+    const sound = this.playback.getSound(track);
+    const flagData = { id: track.parent.id, trackId: track.id, start: getTrackPosition(sound, track) };
+    await this.playback.saveProgress(entity, track, flagData);
+  }
+
+  /**
+   * Create a fade for a track, taking over from any fade already running on it
+   * @param {object} track - The track to fade
+   * @param {string} direction - Fade direction ('in' or 'out')
+   * @param {object} crossfade - Crossfade settings
+   * @param {number} crossfade.duration - Fade duration in milliseconds
+   * @param {string} crossfade.curve - Fade curve from CONST.fadeCurves
+   * @param {number|null} [fromVolume] - Volume the fade starts from, or null for the current gain
+   * @returns {FadingTrack} The fade, ready to be started
+   */
+  fadeTrack(track, direction, { duration, curve }, fromVolume = null) {
+    for (const fade of this.fadingTracks.filter((ft) => ft.track === track)) fade.cancel();
+    const fade = new FadingTrack(track, duration, { direction, fromVolume, curve, playback: this.playback });
+    this.fadingTracks.push(fade);
+    return fade;
+  }
+
+  /**
+   * Start the intensity layers of a context in sync with its main track
+   * Layers start muted and fade in once the encounter state makes them audible.
+   * @param {PlaylistContext} context - The context whose layers should play
+   * @param {number} startTime - Playback position of the main track in seconds
+   */
+  async playLayers(context, startTime) {
+    const layers = context.layers;
+    if (!layers.length) return;
+    const tracks = layers.map((layer) => layer.track);
+    await this.playback.play(tracks, startTime, 0);
+    this.layers = layers.map((layer) => ({ track: layer.track, layer, active: null, volumeTimeout: null }));
+    this.updateLayers();
+  }
+
+  /**
+   * Fade intensity layers in or out to match the current encounter state
+   * Once a fade ends the layer's volume is stored, so clients that join later hear the same layers.
+   */
+  updateLayers() {
+    if (!this.layers.length) return;
+    const state = getEncounterState(this.currentCombat);
+    const { curve } = this.currentContext?.crossfade ?? {};
+    for (const entry of this.layers) {
+      const active = isLayerActive(entry.layer, state);
+      if (active === entry.active) continue;
+      entry.active = active;
+      const volume = active ? this.playback.getVolume(entry.track) : 0;
+      this.playback.fade(entry.track, { from: null, to: volume, duration: CONST.layerFadeDuration, curve });
+      clearTimeout(entry.volumeTimeout);
+      entry.volumeTimeout = setTimeout(() => {
+        if (this.layers.includes(entry)) this.playback.setVolume(entry.track, volume);
+      }, CONST.layerFadeDuration);
+    }
+  }
+
+  /**
+   * Stop all playing intensity layers
+   * @param {object|null} crossfade - Crossfade to fade the layers out with, or null to stop them at once
+   */
+  async stopLayers(crossfade) {
+    const layers = this.layers;
+    this.layers = [];
+    for (const { track, volumeTimeout } of layers) {
+      clearTimeout(volumeTimeout);
+      if (!this.playback.isPlaying(track)) continue;
+      if (crossfade?.duration > 0) this.fadeTrack(track, 'out', crossfade).startFade();
+      else if (this.isAudioReady()) await this.playback.stop(track);
+    }
+  }
+
+  /**
+   * Forget deleted tracks and play whatever the contexts resolve to now
+   * Deleted tracks can no longer be stopped or have their progress saved, so the current context is dropped
+   * rather than transitioned from when its track is gone.
+   * @param {Playlist} playlist - The deleted playlist, or the playlist that lost tracks
+   * @param {Function} isDeleted - Called with a track UUID, returns true if the track no longer exists
+   */
+  async releaseDeletedTracks(playlist, isDeleted) {
+    const deleted = (track) => !!track && isDeleted(track.uuid);
+    for (const fade of this.fadingTracks.filter((ft) => deleted(ft.track))) fade.cancel();
+    this.fadingTracks = this.fadingTracks.filter((ft) => !deleted(ft.track));
+    this.layers = this.layers.filter((entry) => !deleted(entry.track));
+    this.playback.release(isDeleted);
+    if (this.intro?.playlist === playlist) this.clearIntro();
+    if (this.stinger?.playlist === playlist) this.clearStinger();
+    if (deleted(this.currentTrack)) {
+      this.currentContext = null;
+      this.playingTrack = null;
+    }
+    await this.playCurrentTrack();
+  }
+
+  /**
+   * Get the crossfade used when a combatant's boss phase changes, which always blends the tracks
+   * @param {PlaylistContext} context - The incoming phase context
+   * @returns {{duration: number, curve: string}} Crossfade duration in milliseconds and curve
+   */
+  getPhaseCrossfade(context) {
+    const crossfade = context.crossfade;
+    return { duration: crossfade.duration || CONST.phaseCrossfadeDuration, curve: crossfade.curve };
+  }
+
+  /**
+   * Make sure the previous track of a boss phase change is stopped or fading out
+   * The started track is compared against what the context resolves to now, so crossing a threshold always hands over;
+   * this stops the old phase track should it still be playing without a fade, for example while audio was locked.
+   * @param {PlaylistSound} track - The previous phase track
+   */
+  async settlePhaseTrack(track) {
+    if (track === this.playingTrack || !this.playback.isPlaying(track)) return;
+    if (this.fadingTracks.some((ft) => ft.track === track && ft.direction === 'out')) return;
+    console.warn('VGMusic | Previous boss phase track still playing after a phase change, stopping it:', track.name);
+    await this.playback.stop(track);
   }
 
   /**
    * Play music for a given context
+   * Calls the `vgmusic.preTrackChange` hook before switching tracks, which may return false to veto the change,
+   * and `vgmusic.trackChanged` once the controller switched to the new track, which may still wait for audio to unlock.
    * @param {PlaylistContext|null} context - Playlist context to play
    */
   async playMusic(context) {
+    const prevContext = this.currentContext;
     const prevTrack = this.currentTrack;
     const newTrack = context?.track;
+    const trackChanged = prevTrack !== newTrack;
+    if (trackChanged && Hooks.call('vgmusic.preTrackChange', context, prevContext) === false) return;
+    const isPhaseChange = !!context?.combatant && context.combatant === prevContext?.combatant && context.contextEntity === prevContext.contextEntity;
+    const crossfade = isPhaseChange ? this.getPhaseCrossfade(context) : context?.crossfade;
+    const fromIntro = !!prevContext?.isIntro && context?.scopeEntity === prevContext.scopeEntity;
+    const useCrossfade = !!prevTrack && !!newTrack && trackChanged && !fromIntro && crossfade?.duration > 0 && this.isAudioReady();
     const isFading = { prev: this.fadingTracks.some((ft) => ft.track === prevTrack), new: this.fadingTracks.some((ft) => ft.track === newTrack) };
-    if (prevTrack !== newTrack && prevTrack) {
-      await this.savePlaylistData(this.currentContext?.scopeEntity);
-      if (this.isAudioReady()) await prevTrack.update({ playing: false, pausedTime: null });
-      if (prevTrack.fadeDuration > 0 && !isFading.prev) this.fadingTracks.push(new FadingTrack(prevTrack, prevTrack.fadeDuration));
+    if (trackChanged && prevTrack) {
+      await this.savePlaylistData(prevContext?.scopeEntity);
+      await this.stopLayers(useCrossfade ? crossfade : null);
+      if (useCrossfade) this.fadeTrack(prevTrack, 'out', crossfade).startFade();
+      else {
+        if (this.isAudioReady()) await this.playback.stop(prevTrack);
+        if (prevTrack.fadeDuration > 0 && !isFading.prev) this.fadingTracks.push(new FadingTrack(prevTrack, prevTrack.fadeDuration));
+      }
       this.currentContext = null;
+      this.playingTrack = null;
     }
     if (newTrack) {
+      const playing = this.playback.isPlaying(newTrack);
+      const alreadyPlaying = playing && !isFading.new;
       this.currentContext = context;
-      if (!isFading.new) {
-        const startTime = this.currentTrackInfo?.start ?? 0;
+      this.playingTrack = newTrack;
+      if (useCrossfade) {
+        const startTime = await this.getStartTime(context, newTrack);
+        const fade = this.fadeTrack(newTrack, 'in', crossfade, playing ? null : 0);
+        if (!playing) await this.playback.play([newTrack], startTime);
+        fade.startFade();
+        await this.playLayers(context, startTime);
+      } else if (!isFading.new && !alreadyPlaying) {
+        const startTime = await this.getStartTime(context, newTrack);
         await this.waitForAudio(async () => {
-          await newTrack.update({ playing: true, pausedTime: startTime });
+          await this.playback.play([newTrack], startTime);
+          await this.playLayers(context, startTime);
         });
+      } else if (alreadyPlaying) {
+        if (this.layers.length) this.updateLayers();
+        else await this.playLayers(context, getTrackPosition(this.playback.getSound(newTrack), newTrack));
       }
     }
+    if (trackChanged && newTrack && this.currentTrack === newTrack) this.watchTrackEnd(context, newTrack);
+    if (trackChanged && isPhaseChange && prevTrack) await this.settlePhaseTrack(prevTrack);
+    if (trackChanged) Hooks.callAll('vgmusic.trackChanged', context, prevContext);
   }
 }
@@ -0,0 +1,322 @@
+import { CONST } from './config.mjs';
+import { broadcastFade, rampSound } from './helpers.mjs';
+import { getLoopOptions } from './loops.mjs';
+
+/**
+ * Plays tracks for everyone by updating the shared PlaylistSound documents
+ */
+export class GlobalPlayback {
+  /**
+   * Check whether a track is playing
+   * @param {PlaylistSound} track - The track to check
+   * @returns {boolean} True if the track is playing
+   */
+  isPlaying(track) {
+    return !!track?.playing;
+  }
+
+  /**
+   * Get the sound a track plays through
+   * @param {PlaylistSound} track - The track
+   * @returns {Sound|null} The track's sound or null
+   */
+  getSound(track) {
+    return track?.sound ?? null;
+  }
+
+  /**
+   * Get the volume a track is configured with, which a muted intensity layer keeps in a flag
+   * @param {PlaylistSound} track - The track
+   * @returns {number} The configured volume
+   */
+  getVolume(track) {
+    return track.getFlag(CONST.moduleId, 'volume') ?? track.volume;
+  }
+
+  /**
+   * Set the volume a playing track plays at for everyone, including clients that join later
+   * The configured volume is kept in a flag and restored when the track stops.
+   * @param {PlaylistSound} track - The track
+   * @param {number} volume - The volume to play at
+   */
+  async setVolume(track, volume) {
+    if (!track.playing || track.volume === volume) return;
+    await track.update(this._volumeUpdate(track, volume));
+  }
+
+  /**
+   * Start several tracks of the same playlist at a playback position
+   * @param {PlaylistSound[]} tracks - Tracks to start
+   * @param {number} offset - Playback position in seconds
+   * @param {number|null} [volume] - Volume to start at, or null for each track's configured volume
+   */
+  async play(tracks, offset, volume = null) {
+    const stopped = tracks.filter((track) => !track.playing);
+    if (!stopped.length) return;
+    const updates = stopped.map((track) => ({ _id: track.id, playing: true, pausedTime: offset, ...(volume === null ? this._restoreVolume(track) : this._volumeUpdate(track, volume)) }));
+    await stopped[0].parent.updateEmbeddedDocuments('PlaylistSound', updates);
+  }
+
+  /**
+   * Stop a track at once, restoring its configured volume
+   * @param {PlaylistSound} track - The track to stop
+   */
+  async stop(track) {
+    await track.update({ playing: false, pausedTime: null, ...this._restoreVolume(track) });
+  }
+
+  /**
+   * Build the update setting a track's volume while remembering the configured one
+   * @param {PlaylistSound} track - The track
+   * @param {number} volume - The volume to play at
+   * @returns {object} Update data
+   */
+  _volumeUpdate(track, volume) {
+    return { volume, [`flags.${CONST.moduleId}.volume`]: this.getVolume(track) };
+  }
+
+  /**
+   * Build the update restoring a track's configured volume, if it was changed
+   * @param {PlaylistSound} track - The track
+   * @returns {object} Update data, empty if the track plays at its configured volume
+   */
+  _restoreVolume(track) {
+    if (track.getFlag(CONST.moduleId, 'volume') === undefined) return {};
+    return { volume: this.getVolume(track), [`flags.${CONST.moduleId}.-=volume`]: null };
+  }
+
+  /**
+   * Fade a track on every client
+   * @param {PlaylistSound} track - The track to fade
+   * @param {object} options - Fade options passed to broadcastFade
+   */
+  fade(track, options) {
+    broadcastFade(track, options);
+  }
+
+  /**
+   * Get the track an advancing playlist moved on to for a scope entity
+   * @param {Document} entity - The scope entity
+   * @param {Playlist} playlist - The playlist
+   * @returns {string|undefined} ID of the remembered track
+   */
+  getCursor(entity, playlist) {
+    return entity?.getFlag(CONST.moduleId, `cursor.${playlist.id}`);
+  }
+
+  /**
+   * Remember the track an advancing playlist moved on to for a scope entity
+   * @param {Document} entity - The scope entity
+   * @param {Playlist} playlist - The playlist
+   * @param {string} trackId - ID of the track
+   */
+  async saveCursor(entity, playlist, trackId) {
+    await entity.setFlag(CONST.moduleId, `cursor.${playlist.id}`, trackId);
+  }
+
+  /**
+   * Forget deleted tracks, which core stops on every client when their documents are deleted
+   * @param {Function} _isDeleted - Called with a track UUID, returns true if the track no longer exists
+   */
+  release(_isDeleted) {}
+
+  /**
+   * Get the stored playback position of a track for a scope entity
+   * @param {Document} entity - The scope entity
+   * @param {PlaylistSound} track - The track
+   * @returns {object|undefined} Stored progress data
+   */
+  getProgress(entity, track) {
+    return entity?.getFlag(CONST.moduleId, `playlist.${track.parent.id}.${track.id}`);
+  }
+
+  /**
+   * Store the playback position of a track for a scope entity
+   * @param {Document} entity - The scope entity
+   * @param {PlaylistSound} track - The track
+   * @param {object} data - Progress data
+   */
+  async saveProgress(entity, track, data) {
+    await entity.setFlag(CONST.moduleId, `playlist.${track.parent.id}.${track.id}`, data);
+  }
+}
+
+/**
+ * Plays tracks on this client only, through sounds of its own rather than the shared PlaylistSound documents
+ */
+export class LocalPlayback {
+  /** Creates a new LocalPlayback instance */
+  constructor() {
+    this.sounds = new Map();
+    this.started = new Set();
+  }
+
+  /**
+   * Check whether a track is playing on this client
+   * @param {PlaylistSound} track - The track to check
+   * @returns {boolean} True if the track is playing
+   */
+  isPlaying(track) {
+    return !!track && this.started.has(track.uuid);
+  }
+
+  /**
+   * Get or create this client's sound for a track
+   * @param {PlaylistSound} track - The track
+   * @returns {Sound|null} The local sound or null
+   */
+  getSound(track) {
+    if (!track?.path) return null;
+    let sound = this.sounds.get(track.uuid);
+    if (!sound) {
+      sound = game.audio.create({ src: track.path, context: game.audio.music, singleton: false });
+      this.sounds.set(track.uuid, sound);
+    }
+    return sound;
+  }
+
+  /**
+   * Get the volume a track is configured with
+   * @param {PlaylistSound} track - The track
+   * @returns {number} The configured volume
+   */
+  getVolume(track) {
+    return track.volume;
+  }
+
+  /**
+   * Set the volume a playing track plays at, which this client already did by fading its sound
+   * @param {PlaylistSound} _track - The track
+   * @param {number} _volume - The volume to play at
+   */
+  async setVolume(_track, _volume) {}
+
+  /**
+   * Start several tracks at a playback position
+   * A track that ends by itself counts as stopped again, as a shared track does once core sets it to not playing.
+   * @param {PlaylistSound[]} tracks - Tracks to start
+   * @param {number} offset - Playback position in seconds
+   * @param {number|null} [volume] - Volume to start at, or null for each track's configured volume
+   */
+  async play(tracks, offset, volume = null) {
+    const stopped = tracks.filter((track) => !this.isPlaying(track));
+    for (const track of stopped) this.started.add(track.uuid);
+    await Promise.all(
+      stopped.map(async (track) => {
+        const sound = this.getSound(track);
+        if (!sound) return;
+        try {
+          await sound.load();
+          if (!this.isPlaying(track)) return;
+          sound.addEventListener('end', () => this.started.delete(track.uuid), { once: true });
+          await sound.play({ loop: track.repeat, ...getLoopOptions(track, sound.duration), offset, volume: volume ?? track.volume, fade: track.fadeDuration });
+        } catch (error) {
+          console.error('VGMusic | Error playing local track:', error);
+          this.started.delete(track.uuid);
+        }
+      })
+    );
+  }
+
+  /**
+   * Stop a track at once
+   * @param {PlaylistSound} track - The track to stop
+   */
+  async stop(track) {
+    this.started.delete(track.uuid);
+    await this.sounds.get(track.uuid)?.stop({ fade: track.fadeDuration });
+  }
+
+  /**
+   * Fade a track on this client
+   * @param {PlaylistSound} track - The track to fade
+   * @param {object} options - Fade options passed to rampSound
+   */
+  fade(track, options) {
+    rampSound(this.getSound(track), options);
+  }
+
+  /**
+   * Get the track an advancing playlist moved on to for a scope entity on this client
+   * @param {Document} entity - The scope entity
+   * @param {Playlist} playlist - The playlist
+   * @returns {string|undefined} ID of the remembered track
+   */
+  getCursor(entity, playlist) {
+    if (!entity) return undefined;
+    return game.settings.get(CONST.moduleId, CONST.settings.localProgress)?.[this._progressKey(entity, playlist)];
+  }
+
+  /**
+   * Remember the track an advancing playlist moved on to for a scope entity on this client
+   * @param {Document} entity - The scope entity
+   * @param {Playlist} playlist - The playlist
+   * @param {string} trackId - ID of the track
+   */
+  async saveCursor(entity, playlist, trackId) {
+    await this._saveRecord(this._progressKey(entity, playlist), trackId);
+  }
+
+  /**
+   * Stop and drop this client's sounds of deleted tracks
+   * @param {Function} isDeleted - Called with a track UUID, returns true if the track no longer exists
+   */
+  release(isDeleted) {
+    for (const [uuid, sound] of this.sounds) {
+      if (!isDeleted(uuid)) continue;
+      this.started.delete(uuid);
+      this.sounds.delete(uuid);
+      sound.stop();
+    }
+  }
+
+  /**
+   * Get the key a track's progress, or a playlist's cursor, is stored under for a scope entity
+   * @param {Document} entity - The scope entity
+   * @param {PlaylistSound|Playlist} document - The track, or the playlist
+   * @returns {string} The storage key
+   */
+  _progressKey(entity, document) {
+    return `${entity.uuid}|${document.uuid}`;
+  }
+
+  /**
+   * Get the stored playback position of a track for a scope entity
+   * @param {Document} entity - The scope entity
+   * @param {PlaylistSound} track - The track
+   * @returns {object|undefined} Stored progress data
+   */
+  getProgress(entity, track) {
+    if (!entity) return undefined;
+    return game.settings.get(CONST.moduleId, CONST.settings.localProgress)?.[this._progressKey(entity, track)];
+  }
+
+  /**
+   * Store the playback position of a track for a scope entity on this client
+   * @param {Document} entity - The scope entity
+   * @param {PlaylistSound} track - The track
+   * @param {object} data - Progress data
+   */
+  async saveProgress(entity, track, data) {
+    await this._saveRecord(this._progressKey(entity, track), data);
+  }
+
+  /**
+   * Store a progress or cursor record on this client, dropping the records of deleted entities, tracks and playlists
+   * @param {string} key - The storage key
+   * @param {*} value - The record
+   */
+  async _saveRecord(key, value) {
+    const exists = (uuid) => {
+      try {
+        return !!fromUuidSync(uuid);
+      } catch {
+        return false;
+      }
+    };
+    const stored = Object.entries(game.settings.get(CONST.moduleId, CONST.settings.localProgress) ?? {});
+    const progress = Object.fromEntries(stored.filter(([storedKey]) => storedKey.split('|').every(exists)));
+    progress[key] = value;
+    await game.settings.set(CONST.moduleId, CONST.settings.localProgress, progress);
+  }
+}
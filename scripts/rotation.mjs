@@ -0,0 +1,59 @@
+/**
+ * A weighted area track rotation, resolved from a music section
+ * @typedef {object} Rotation
+ * @property {{track: PlaylistSound, weight: number}[]} tracks - Tracks to rotate through with their weights
+ * @property {number} gapMin - Shortest silence between tracks in seconds
+ * @property {number} gapMax - Longest silence between tracks in seconds
+ * @property {number} minRepeat - Seconds before a finished track may play again
+ * @property {boolean} randomStart - Whether picked tracks start at a random position
+ */
+
+/**
+ * Resolve the track rotation of a music section
+ * Entries pointing at missing or silent tracks, or weighted zero, are left out.
+ * @param {object|null} section - Music section data
+ * @returns {Rotation|null} The rotation, or null if it is disabled or has no playable tracks
+ */
+export function getRotation(section) {
+  const rotation = section?.rotation;
+  if (!rotation?.enabled) return null;
+  const tracks = Object.values(rotation.tracks ?? {})
+    .map((entry) => ({ track: entry?.track ? fromUuidSync(entry.track) : null, weight: Number(entry?.weight ?? 1) }))
+    .filter((entry) => entry.track instanceof PlaylistSound && entry.track.path && entry.weight > 0);
+  if (!tracks.length) return null;
+  const gapMin = Math.max(0, Number(rotation.gapMin) || 0);
+  const gapMax = Math.max(gapMin, Number(rotation.gapMax) || 0);
+  return { tracks, gapMin, gapMax, minRepeat: Math.max(0, Number(rotation.minRepeat) || 0), randomStart: !!rotation.randomStart };
+}
+
+/**
+ * Pick the next track of a rotation by weight
+ * Tracks that finished less than the minimum repeat time ago are skipped, unless every track has;
+ * then the one that finished longest ago plays. The previous track only repeats if it is the only one.
+ * @param {Rotation} rotation - The rotation
+ * @param {Map<string, number>} lastPlayed - Times tracks last finished, keyed by track UUID
+ * @param {PlaylistSound|null} [previous] - The track that played last
+ * @returns {PlaylistSound} The picked track
+ */
+export function pickRotationTrack(rotation, lastPlayed, previous = null) {
+  const now = Date.now();
+  const others = rotation.tracks.filter((entry) => entry.track !== previous);
+  const candidates = others.length ? others : rotation.tracks;
+  const rested = candidates.filter((entry) => now - (lastPlayed.get(entry.track.uuid) ?? -Infinity) >= rotation.minRepeat * 1000);
+  if (!rested.length) return candidates.sort((a, b) => lastPlayed.get(a.track.uuid) - lastPlayed.get(b.track.uuid))[0].track;
+  let roll = Math.random() * rested.reduce((total, entry) => total + entry.weight, 0);
+  for (const entry of rested) {
+    roll -= entry.weight;
+    if (roll < 0) return entry.track;
+  }
+  return rested.at(-1).track;
+}
+
+/**
+ * Roll the silence between two tracks of a rotation
+ * @param {Rotation} rotation - The rotation
+ * @returns {number} Silence in milliseconds
+ */
+export function getRotationGap(rotation) {
+  return (rotation.gapMin + Math.random() * (rotation.gapMax - rotation.gapMin)) * 1000;
+}
@@ -1,5 +1,11 @@
+import { ActorTypeMusicConfig } from './actor-type-config.mjs';
+import { resetActorTypeMusic } from './actor-types.mjs';
 import { VGMusicConfig } from './app.mjs';
+import { ReferenceAudit } from './audit-config.mjs';
+import { BulkMusicConfig } from './bulk-config.mjs';
 import { CONST } from './config.mjs';
+import { MusicTransfer } from './transfer-config.mjs';
+import { TriggerConfig } from './trigger-config.mjs';
 
 /**
  * Register module settings and configuration menu
@@ -15,7 +21,8 @@ export function registerSettings() {
       [CONST.silentModes.highestPriority]: 'VGMusic.Settings.SilentCombatMusicMode.HighestPriority',
       [CONST.silentModes.lastActor]: 'VGMusic.Settings.SilentCombatMusicMode.LastActor',
       [CONST.silentModes.area]: 'VGMusic.Settings.SilentCombatMusicMode.Area',
-      [CONST.silentModes.generic]: 'VGMusic.Settings.SilentCombatMusicMode.Generic'
+      [CONST.silentModes.generic]: 'VGMusic.Settings.SilentCombatMusicMode.Generic',
+      [CONST.silentModes.faction]: 'VGMusic.Settings.SilentCombatMusicMode.Faction'
     },
     default: CONST.silentModes.highestPriority,
     onChange: () => {
@@ -23,6 +30,61 @@ export function registerSettings() {
     }
   });
 
+  game.settings.register(CONST.moduleId, CONST.settings.playbackMode, {
+    name: 'VGMusic.Settings.PlaybackMode.Name',
+    hint: 'VGMusic.Settings.PlaybackMode.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [CONST.playbackModes.global]: 'VGMusic.Settings.PlaybackMode.Global',
+      [CONST.playbackModes.viewedScene]: 'VGMusic.Settings.PlaybackMode.ViewedScene'
+    },
+    default: CONST.playbackModes.global,
+    requiresReload: true
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.localProgress, {
+    name: 'VGMusic.Settings.LocalProgress.Name',
+    scope: 'client',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.crossfadeDuration, {
+    name: 'VGMusic.Settings.CrossfadeDuration.Name',
+    hint: 'VGMusic.Settings.CrossfadeDuration.Hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 0, max: 10000, step: 250 },
+    default: 0
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.crossfadeCurve, {
+    name: 'VGMusic.Settings.CrossfadeCurve.Name',
+    hint: 'VGMusic.Settings.CrossfadeCurve.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [CONST.fadeCurves.linear]: 'VGMusic.FadeCurves.Linear',
+      [CONST.fadeCurves.equalPower]: 'VGMusic.FadeCurves.EqualPower',
+      [CONST.fadeCurves.exponential]: 'VGMusic.FadeCurves.Exponential'
+    },
+    default: CONST.fadeCurves.equalPower
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.hpAttribute, {
+    name: 'VGMusic.Settings.HPAttribute.Name',
+    hint: 'VGMusic.Settings.HPAttribute.Hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: CONST.hpAttribute
+  });
+
   game.settings.registerMenu(CONST.moduleId, 'defaultMusicMenu', {
     name: 'VGMusic.Settings.DefaultMusic.Name',
     label: 'VGMusic.Settings.DefaultMusic.Label',
@@ -32,6 +94,95 @@ export function registerSettings() {
     restricted: true
   });
 
+  game.settings.registerMenu(CONST.moduleId, 'actorTypesMenu', {
+    name: 'VGMusic.Settings.ActorTypes.Name',
+    label: 'VGMusic.Settings.ActorTypes.Label',
+    hint: 'VGMusic.Settings.ActorTypes.Hint',
+    icon: 'fas fa-users',
+    type: ActorTypeMusicConfig,
+    restricted: true
+  });
+
+  game.settings.registerMenu(CONST.moduleId, 'bulkMenu', {
+    name: 'VGMusic.Settings.Bulk.Name',
+    label: 'VGMusic.Settings.Bulk.Label',
+    hint: 'VGMusic.Settings.Bulk.Hint',
+    icon: 'fas fa-table-list',
+    type: BulkMusicConfig,
+    restricted: true
+  });
+
+  game.settings.registerMenu(CONST.moduleId, 'triggersMenu', {
+    name: 'VGMusic.Settings.Triggers.Name',
+    label: 'VGMusic.Settings.Triggers.Label',
+    hint: 'VGMusic.Settings.Triggers.Hint',
+    icon: 'fas fa-bolt',
+    type: TriggerConfig,
+    restricted: true
+  });
+
+  game.settings.registerMenu(CONST.moduleId, 'transferMenu', {
+    name: 'VGMusic.Settings.Transfer.Name',
+    label: 'VGMusic.Settings.Transfer.Label',
+    hint: 'VGMusic.Settings.Transfer.Hint',
+    icon: 'fas fa-file-export',
+    type: MusicTransfer,
+    restricted: true
+  });
+
+  game.settings.registerMenu(CONST.moduleId, 'auditMenu', {
+    name: 'VGMusic.Settings.Audit.Name',
+    label: 'VGMusic.Settings.Audit.Label',
+    hint: 'VGMusic.Settings.Audit.Hint',
+    icon: 'fas fa-stethoscope',
+    type: ReferenceAudit,
+    restricted: true
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.triggers, {
+    name: 'VGMusic.Settings.Triggers.Name',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      foundry.applications.instances.get('vgmusic-triggers')?.render();
+      game.vgmusic?.musicController?.playCurrentTrack();
+    }
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.actorTypeMusic, {
+    name: 'VGMusic.Settings.ActorTypes.Name',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => {
+      resetActorTypeMusic();
+      foundry.applications.instances.get('vgmusic-actor-types')?.render();
+      game.vgmusic?.musicController?.playCurrentTrack();
+    }
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.mutedContexts, {
+    name: 'VGMusic.Settings.MutedContexts.Name',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      game.vgmusic?.musicController?.playCurrentTrack();
+    }
+  });
+
+  game.settings.register(CONST.moduleId, CONST.settings.schemaVersion, {
+    name: 'VGMusic.Settings.SchemaVersion.Name',
+    scope: 'world',
+    config: false,
+    type: Number,
+    default: 0
+  });
+
   game.settings.register(CONST.moduleId, CONST.settings.defaultMusic, {
     name: 'VGMusic.Settings.DefaultMusic.Name',
     scope: 'world',
@@ -51,6 +202,18 @@ export function registerSettings() {
     }
   });
 
+  game.settings.register(CONST.moduleId, CONST.settings.overrides, {
+    name: 'VGMusic.Settings.Overrides.Name',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      game.vgmusic?.musicController?.refreshOverrides();
+      ui.controls?.initialize();
+    }
+  });
+
   game.settings.register(CONST.moduleId, CONST.settings.suppressCombat, {
     name: 'VGMusic.Settings.SuppressCombat.Name',
     scope: 'world',
@@ -76,6 +239,31 @@ export function registerKeybindings() {
     name: 'VGMusic.Keybindings.ToggleCombatMusic',
     onDown: () => toggleCombatMusic()
   });
+
+  game.keybindings.register(CONST.moduleId, 'pushOverride', {
+    name: 'VGMusic.Keybindings.PushOverride',
+    hint: 'VGMusic.Keybindings.PushOverrideHint',
+    restricted: true,
+    onDown: () => pushPlayingOverride()
+  });
+
+  game.keybindings.register(CONST.moduleId, 'popOverride', {
+    name: 'VGMusic.Keybindings.PopOverride',
+    restricted: true,
+    onDown: () => game.vgmusic?.musicController?.popOverride()
+  });
+}
+
+/**
+ * Push the track the GM started by hand as a music override
+ */
+async function pushPlayingOverride() {
+  const controller = game.vgmusic?.musicController;
+  if (!controller) return;
+  const managed = new Set([controller.currentTrack, ...controller.layers.map((layer) => layer.track)]);
+  const track = game.playlists.playing.flatMap((playlist) => playlist.sounds.filter((sound) => sound.playing)).find((sound) => !managed.has(sound));
+  if (!track) return ui.notifications.warn('VGMusic.Notifications.NoManualTrack', { localize: true });
+  await game.vgmusic.pushOverride(track);
 }
 
 /**
@@ -0,0 +1,41 @@
+import { CONST } from './config.mjs';
+import { importCompendiumPlaylist, isHeadGM, rampTrack } from './helpers.mjs';
+
+/**
+ * Register the module socket listener
+ */
+export function registerSocket() {
+  game.socket.on(CONST.socket, handleSocketMessage);
+}
+
+/**
+ * Refresh the music on every client that controls it, including this one
+ * Used after changes made with the music refresh skipped, such as bulk edits.
+ */
+export function refreshMusic() {
+  game.socket.emit(CONST.socket, { action: 'refresh' });
+  game.vgmusic?.musicController?.playCurrentTrack();
+}
+
+/**
+ * Have the head GM import a compendium playlist, then refresh the music on every client
+ * @param {string} uuid - Compendium UUID of the playlist
+ */
+export async function requestPlaylistImport(uuid) {
+  if (!isHeadGM()) return game.socket.emit(CONST.socket, { action: 'import', uuid });
+  if (await importCompendiumPlaylist(uuid)) refreshMusic();
+}
+
+/**
+ * Handle a message received on the module socket
+ * @param {object} data - The message data
+ */
+function handleSocketMessage(data) {
+  try {
+    if (data?.action === 'fade') rampTrack(data);
+    else if (data?.action === 'refresh') game.vgmusic?.musicController?.playCurrentTrack();
+    else if (data?.action === 'import' && isHeadGM()) requestPlaylistImport(data.uuid);
+  } catch (error) {
+    console.error('VGMusic | Error handling socket message:', error);
+  }
+}
@@ -0,0 +1,126 @@
+import { CONST } from './config.mjs';
+import { applyImport, downloadConfig, planImport, suggestPlaylistMap, validateBundle } from './transfer.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Export and import the whole music configuration, with playlist remapping and a dry-run report
+ */
+export class MusicTransfer extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'vgmusic-transfer',
+    tag: 'form',
+    window: { title: 'VGMusic.Transfer.Title', icon: 'fas fa-file-export', resizable: true },
+    classes: ['dnd5e2'],
+    form: {
+      handler: MusicTransfer.formHandler,
+      closeOnSubmit: false,
+      submitOnChange: true
+    },
+    position: { width: 640, height: 'auto' },
+    actions: {
+      exportConfig: MusicTransfer.exportConfig,
+      chooseFile: MusicTransfer.chooseFile,
+      applyImport: MusicTransfer.applyImport
+    }
+  };
+
+  /** @override */
+  static PARTS = { form: { template: 'modules/vgmusic/templates/transfer.hbs' } };
+
+  /**
+   * The loaded bundle, if any
+   * @type {object|null}
+   */
+  bundle = null;
+
+  /**
+   * Local playlist IDs keyed by bundle playlist ID
+   * @type {Record<string, string>}
+   */
+  playlistMap = {};
+
+  /** @override */
+  _prepareContext(_options) {
+    if (!this.bundle) return { bundle: null };
+    const localPlaylists = Object.fromEntries(game.playlists.map((playlist) => [playlist.id, playlist.name]));
+    const playlists = Object.values(this.bundle.playlists ?? {}).map((source) => ({ ...source, target: this.playlistMap[source.id] ?? '' }));
+    const statusLabels = {
+      [CONST.importStatus.update]: 'VGMusic.Transfer.Status.Update',
+      [CONST.importStatus.unchanged]: 'VGMusic.Transfer.Status.Unchanged',
+      [CONST.importStatus.missing]: 'VGMusic.Transfer.Status.Missing'
+    };
+    const report = planImport(this.bundle, this.playlistMap).map(({ entry, status }) => ({
+      name: entry.parent ? `${entry.parent}: ${entry.name}` : entry.name,
+      documentName: entry.documentName,
+      status: statusLabels[status],
+      changed: status === CONST.importStatus.update
+    }));
+    const changes = report.filter((row) => row.changed).length;
+    return { bundle: this.bundle, localPlaylists, playlists, report, changes };
+  }
+
+  /**
+   * Load a bundle and suggest matching playlists
+   * @param {object} bundle - Parsed bundle data
+   */
+  loadBundle(bundle) {
+    this.bundle = validateBundle(bundle);
+    this.playlistMap = suggestPlaylistMap(bundle);
+    this.render();
+  }
+
+  /**
+   * Download the current configuration
+   */
+  static exportConfig() {
+    downloadConfig();
+  }
+
+  /**
+   * Pick a bundle file to import
+   */
+  static chooseFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        this.loadBundle(JSON.parse(await foundry.utils.readTextFromFile(file)));
+      } catch (error) {
+        console.error('VGMusic | Error reading configuration export:', error);
+        ui.notifications.error('VGMusic.Transfer.InvalidFile', { localize: true });
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Apply the import as shown in the report
+   */
+  static async applyImport() {
+    if (!this.bundle) return;
+    try {
+      const count = await applyImport(planImport(this.bundle, this.playlistMap));
+      ui.notifications.info(game.i18n.format('VGMusic.Transfer.Imported', { count }));
+      this.close();
+    } catch (error) {
+      console.error('VGMusic | Error importing configuration:', error);
+      ui.notifications.error('VGMusic.Transfer.ImportFailed', { localize: true });
+    }
+  }
+
+  /**
+   * Handle playlist remapping changes by refreshing the dry-run report
+   * @param {Event} _event - The change event
+   * @param {HTMLFormElement} _form - The form element
+   * @param {object} formData - The form data
+   */
+  static async formHandler(_event, _form, formData) {
+    const map = foundry.utils.expandObject(formData.object).playlistMap ?? {};
+    this.playlistMap = { ...this.playlistMap, ...map };
+    this.render();
+  }
+}
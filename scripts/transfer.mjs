@@ -0,0 +1,298 @@
+import { getActorTypeChoices, getActorTypeMusic, getAllActorTypeMusic, saveActorTypeMusic } from './actor-types.mjs';
+import { CONST } from './config.mjs';
+import { isCompendiumReference, resolvePlaylistReference } from './helpers.mjs';
+import { refreshMusic } from './socket.mjs';
+
+/**
+ * Bundle format version written by exportConfig
+ * @type {number}
+ */
+const BUNDLE_VERSION = 1;
+
+/**
+ * An exported document's music assignments
+ * @typedef {object} BundleEntry
+ * @property {string} documentName - Scene, Region, Actor, Token, ActorDelta, PrototypeToken or Folder
+ * @property {string} uuid - UUID of the document, or of the actor for a PrototypeToken
+ * @property {string} name - Name of the document, or of the token for an ActorDelta
+ * @property {string|null} parent - Name of the parent scene for regions, tokens and actor deltas
+ * @property {object} flags - The document's vgmusic flags, without progress records
+ */
+
+/**
+ * Get a document's music flags worth exporting
+ * @param {object|undefined} flags - The document's vgmusic flags
+ * @returns {object|null} Music and token preference flags, or null if there is no music
+ */
+function getExportFlags(flags) {
+  if (foundry.utils.isEmpty(flags?.music ?? {})) return null;
+  const exported = { music: foundry.utils.deepClone(flags.music) };
+  if ('useTokenMusic' in flags) exported.useTokenMusic = flags.useTokenMusic;
+  return exported;
+}
+
+/**
+ * Call a function for every track reference of a music section
+ * @param {object} section - Music section data
+ * @param {Function} callback - Called with the referencing object and the key holding a track ID
+ */
+function forEachTrackReference(section, callback) {
+  for (const key of ['initialTrack', 'introTrack']) if (section[key]) callback(section, key);
+  for (const list of CONST.sectionTrackLists) {
+    for (const entry of Object.values(section[list] ?? {})) if (entry?.track) callback(entry, 'track');
+  }
+}
+
+/**
+ * Call a function for every rotation track of a music section, with the playlist and track IDs its UUID points at
+ * @param {object} section - Music section data
+ * @param {Function} callback - Called with the rotation entry, the playlist ID and the track ID
+ */
+function forEachRotationTrack(section, callback) {
+  for (const entry of Object.values(section?.rotation?.tracks ?? {})) {
+    const [documentName, playlistId, , trackId] = entry?.track?.split('.') ?? [];
+    if (documentName === 'Playlist' && trackId) callback(entry, playlistId, trackId);
+  }
+}
+
+/**
+ * Collect every document with music assignments
+ * @returns {BundleEntry[]} Exported entries
+ */
+function collectEntries() {
+  const entries = [];
+  const add = (documentName, uuid, name, parent, flags) => {
+    const exported = getExportFlags(flags);
+    if (exported) entries.push({ documentName, uuid, name, parent, flags: exported });
+  };
+  for (const scene of game.scenes) {
+    add('Scene', scene.uuid, scene.name, null, scene.flags[CONST.moduleId]);
+    for (const region of scene.regions) add('Region', region.uuid, region.name, scene.name, region.flags[CONST.moduleId]);
+    for (const token of scene.tokens) {
+      add('Token', token.uuid, token.name, scene.name, token.flags[CONST.moduleId]);
+      if (!token.actorLink && token.delta) add('ActorDelta', token.delta.uuid, token.name, scene.name, token.delta.flags?.[CONST.moduleId]);
+    }
+  }
+  for (const actor of game.actors) {
+    add('Actor', actor.uuid, actor.name, null, actor.flags[CONST.moduleId]);
+    add('PrototypeToken', actor.uuid, actor.name, null, actor.prototypeToken.flags[CONST.moduleId]);
+  }
+  for (const folder of game.folders.filter((f) => f.type === 'Actor')) add('Folder', folder.uuid, folder.name, null, folder.flags[CONST.moduleId]);
+  return entries;
+}
+
+/**
+ * Export the whole music configuration as a bundle
+ * @returns {object} The configuration bundle
+ */
+export function exportConfig() {
+  const defaultMusic = foundry.utils.deepClone(game.settings.get(CONST.moduleId, CONST.settings.defaultMusic)?.data?.vgmusic?.music ?? {});
+  const triggers = foundry.utils.deepClone(game.settings.get(CONST.moduleId, CONST.settings.triggers) ?? []);
+  const actorTypes = Object.fromEntries(getAllActorTypeMusic().map((entry) => [entry.id, entry.data.vgmusic.music]));
+  const entries = collectEntries();
+  const sections = [
+    ...Object.values(defaultMusic),
+    ...triggers.map((t) => t.data?.vgmusic?.music?.trigger),
+    ...Object.values(actorTypes).flatMap((music) => Object.values(music)),
+    ...entries.flatMap((e) => Object.values(e.flags.music))
+  ];
+  const playlists = {};
+  const addPlaylist = (playlist) => {
+    playlists[playlist.id] ??= { id: playlist.id, uuid: playlist.uuid, name: playlist.name, tracks: Object.fromEntries(playlist.sounds.map((s) => [s.id, s.name])) };
+  };
+  for (const section of sections) {
+    forEachRotationTrack(section, (_entry, playlistId) => {
+      const playlist = game.playlists.get(playlistId);
+      if (playlist) addPlaylist(playlist);
+    });
+    const playlist = resolvePlaylistReference(section?.playlist);
+    if (!playlist) continue;
+    section.playlist = playlist.id;
+    addPlaylist(playlist);
+  }
+  return {
+    module: CONST.moduleId,
+    version: BUNDLE_VERSION,
+    moduleVersion: game.modules.get(CONST.moduleId)?.version ?? null,
+    world: game.world.id,
+    exportedAt: new Date().toISOString(),
+    playlists,
+    defaultMusic,
+    triggers,
+    actorTypes,
+    documents: entries
+  };
+}
+
+/**
+ * Download the music configuration as a JSON file
+ */
+export function downloadConfig() {
+  const bundle = exportConfig();
+  const filename = `vgmusic-${game.world.id}.json`;
+  foundry.utils.saveDataToFile(JSON.stringify(bundle, null, 2), 'text/json', filename);
+}
+
+/**
+ * Check that data is a music configuration bundle
+ * @param {object} bundle - Parsed bundle data
+ * @returns {object} The bundle
+ * @throws {Error} If the data is not a bundle this version can read
+ */
+export function validateBundle(bundle) {
+  if (bundle?.module !== CONST.moduleId || !Array.isArray(bundle.documents)) throw new Error('VGMusic | The file is not a VGMusic configuration export');
+  if (bundle.version > BUNDLE_VERSION) throw new Error(`VGMusic | The export was made by a newer version of VGMusic (format ${bundle.version})`);
+  return bundle;
+}
+
+/**
+ * Suggest the local playlist for each playlist of a bundle, by UUID, ID, then name
+ * @param {object} bundle - The configuration bundle
+ * @returns {Record<string, string>} Local playlist IDs keyed by bundle playlist ID, empty when there is no match
+ */
+export function suggestPlaylistMap(bundle) {
+  return Object.fromEntries(
+    Object.values(bundle.playlists ?? {}).map((source) => {
+      const byUuid = source.uuid ? fromUuidSync(source.uuid) : null;
+      const match = (byUuid instanceof Playlist ? byUuid : null) ?? game.playlists.get(source.id) ?? game.playlists.getName(source.name);
+      return [source.id, match?.id ?? ''];
+    })
+  );
+}
+
+/**
+ * Rewrite a bundle's music sections to point at local playlists and tracks
+ * Sections pointing at compendium playlists are kept as they are.
+ * @param {object} music - Music sections keyed by section
+ * @param {object} bundle - The configuration bundle
+ * @param {Record<string, string>} playlistMap - Local playlist IDs keyed by bundle playlist ID
+ * @returns {object} Remapped music sections, without sections whose playlist has no local match
+ */
+export function remapMusic(music, bundle, playlistMap) {
+  const remapped = {};
+  for (const [key, section] of Object.entries(music ?? {})) {
+    const source = bundle.playlists?.[section?.playlist];
+    if (!source && isCompendiumReference(section?.playlist)) remapped[key] = foundry.utils.deepClone(section);
+    const playlist = source ? game.playlists.get(playlistMap[source.id]) : null;
+    if (!playlist) continue;
+    const copy = foundry.utils.deepClone(section);
+    copy.playlist = playlist.uuid;
+    forEachTrackReference(copy, (object, trackKey) => {
+      const trackId = object[trackKey];
+      const match = playlist.sounds.get(trackId) ?? playlist.sounds.getName(source?.tracks?.[trackId]);
+      object[trackKey] = match?.id ?? '';
+    });
+    forEachRotationTrack(copy, (entry, playlistId, trackId) => {
+      const rotationSource = bundle.playlists?.[playlistId];
+      const rotationPlaylist = rotationSource ? game.playlists.get(playlistMap[rotationSource.id]) : null;
+      entry.track = (rotationPlaylist?.sounds.get(trackId) ?? rotationPlaylist?.sounds.getName(rotationSource?.tracks?.[trackId]))?.uuid ?? '';
+    });
+    remapped[key] = copy;
+  }
+  return remapped;
+}
+
+/**
+ * Find the local document a bundle entry applies to, by UUID then by name
+ * @param {BundleEntry} entry - The bundle entry
+ * @returns {Document|object|null} The local document, or an actor's prototype token
+ */
+function findTarget(entry) {
+  const byUuid = fromUuidSync(entry.uuid);
+  if (['Actor', 'PrototypeToken'].includes(entry.documentName)) {
+    const actor = byUuid instanceof Actor ? byUuid : game.actors.getName(entry.name);
+    if (!actor) return null;
+    return entry.documentName === 'PrototypeToken' ? actor.prototypeToken : actor;
+  }
+  if (byUuid?.documentName === entry.documentName) return byUuid;
+  if (entry.documentName === 'Scene') return game.scenes.getName(entry.name) ?? null;
+  if (entry.documentName === 'Folder') return game.folders.find((folder) => folder.type === 'Actor' && folder.name === entry.name) ?? null;
+  const scene = game.scenes.getName(entry.parent);
+  if (entry.documentName === 'Region') return scene?.regions.getName(entry.name) ?? null;
+  const token = scene?.tokens.getName(entry.name);
+  return (entry.documentName === 'ActorDelta' ? token?.delta : token) ?? null;
+}
+
+/**
+ * Plan an import without changing anything, as a dry run
+ * @param {object} bundle - The configuration bundle
+ * @param {Record<string, string>} playlistMap - Local playlist IDs keyed by bundle playlist ID
+ * @returns {object[]} Planned changes with their target, new flags and status from CONST.importStatus
+ */
+export function planImport(bundle, playlistMap) {
+  const plan = bundle.documents.map((entry) => {
+    const target = findTarget(entry);
+    const flags = { ...entry.flags, music: remapMusic(entry.flags.music, bundle, playlistMap) };
+    const current = target ? getExportFlags(target.flags?.[CONST.moduleId]) : null;
+    let status = CONST.importStatus.update;
+    if (!target) status = CONST.importStatus.missing;
+    else if (foundry.utils.objectsEqual(current ?? {}, flags)) status = CONST.importStatus.unchanged;
+    return { entry, target, flags, status };
+  });
+  const defaultMusic = game.settings.get(CONST.moduleId, CONST.settings.defaultMusic)?.data?.vgmusic?.music ?? {};
+  const importedDefaults = remapMusic(bundle.defaultMusic, bundle, playlistMap);
+  plan.push({
+    entry: { documentName: 'DefaultMusic', name: game.i18n.localize('VGMusic.Settings.DefaultMusic.Name') },
+    target: null,
+    flags: { music: importedDefaults },
+    status: foundry.utils.objectsEqual(defaultMusic, importedDefaults) ? CONST.importStatus.unchanged : CONST.importStatus.update
+  });
+  const actorTypeLabels = getActorTypeChoices();
+  for (const [type, music] of Object.entries(bundle.actorTypes ?? {})) {
+    const imported = remapMusic(music, bundle, playlistMap);
+    const current = getActorTypeMusic(type).data.vgmusic.music;
+    const status = foundry.utils.objectsEqual(current, imported) ? CONST.importStatus.unchanged : CONST.importStatus.update;
+    plan.push({ entry: { documentName: 'ActorType', id: type, name: actorTypeLabels[type] ?? type }, target: null, flags: { music: imported }, status });
+  }
+  for (const trigger of bundle.triggers ?? []) {
+    const music = remapMusic(trigger.data?.vgmusic?.music, bundle, playlistMap);
+    const imported = { ...trigger, data: { vgmusic: { music } } };
+    const existing = (game.settings.get(CONST.moduleId, CONST.settings.triggers) ?? []).find((t) => t.id === trigger.id);
+    const status = existing && foundry.utils.objectsEqual(existing, imported) ? CONST.importStatus.unchanged : CONST.importStatus.update;
+    plan.push({ entry: { documentName: 'MusicTrigger', name: trigger.name }, target: null, trigger: imported, status });
+  }
+  return plan;
+}
+
+/**
+ * Build the update replacing a document's music with imported flags
+ * @param {object} flags - Imported vgmusic flags
+ * @param {string} prefix - Path of the vgmusic flags in the document
+ * @returns {object} Update data
+ */
+function getImportUpdate(flags, prefix) {
+  const update = { [`${prefix}.==music`]: flags.music };
+  if ('useTokenMusic' in flags) update[`${prefix}.useTokenMusic`] = flags.useTokenMusic;
+  return update;
+}
+
+/**
+ * Apply a planned import
+ * Each document is written once with the music refresh skipped, and the music is refreshed once at the end.
+ * @param {object[]} plan - Changes from planImport
+ * @returns {Promise<number>} Number of changed documents and settings
+ */
+export async function applyImport(plan) {
+  const changes = plan.filter((change) => change.status === CONST.importStatus.update);
+  const options = { [CONST.moduleId]: { refresh: false } };
+  for (const { entry, target, flags } of changes) {
+    if (entry.documentName === 'DefaultMusic') {
+      const defaultMusic = game.settings.get(CONST.moduleId, CONST.settings.defaultMusic);
+      await game.settings.set(CONST.moduleId, CONST.settings.defaultMusic, { ...defaultMusic, data: { vgmusic: { music: flags.music } } });
+    } else if (entry.documentName === 'ActorType') {
+      await saveActorTypeMusic({ id: entry.id, data: { vgmusic: { music: flags.music } } });
+    } else if (entry.documentName === 'PrototypeToken') {
+      await target.parent.update(getImportUpdate(flags, `prototypeToken.flags.${CONST.moduleId}`), options);
+    } else if (target) {
+      await target.update(getImportUpdate(flags, `flags.${CONST.moduleId}`), options);
+    }
+  }
+  const triggers = changes.filter((change) => change.trigger).map((change) => change.trigger);
+  if (triggers.length) {
+    const ids = new Set(triggers.map((trigger) => trigger.id));
+    const kept = (game.settings.get(CONST.moduleId, CONST.settings.triggers) ?? []).filter((trigger) => !ids.has(trigger.id));
+    await game.settings.set(CONST.moduleId, CONST.settings.triggers, [...kept, ...triggers]);
+  }
+  if (changes.length) refreshMusic();
+  return changes.length;
+}
@@ -0,0 +1,105 @@
+import { VGMusicConfig } from './app.mjs';
+import { CONST } from './config.mjs';
+import { resolvePlaylistReference } from './helpers.mjs';
+import { createTrigger } from './triggers.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Editor for the GM's music trigger rules
+ */
+export class TriggerConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'vgmusic-triggers',
+    tag: 'form',
+    window: { title: 'VGMusic.Triggers.Title', icon: 'fas fa-bolt', resizable: true },
+    classes: ['dnd5e2'],
+    form: {
+      handler: TriggerConfig.formHandler,
+      closeOnSubmit: false,
+      submitOnChange: true
+    },
+    position: { width: 720, height: 'auto' },
+    actions: {
+      addTrigger: TriggerConfig.addTrigger,
+      deleteTrigger: TriggerConfig.deleteTrigger,
+      configureMusic: TriggerConfig.configureMusic
+    }
+  };
+
+  /** @override */
+  static PARTS = { form: { template: 'modules/vgmusic/templates/trigger-config.hbs' } };
+
+  /**
+   * Get the stored trigger rules
+   * @returns {object[]} Trigger rules in their configured order
+   */
+  get triggers() {
+    return game.settings.get(CONST.moduleId, CONST.settings.triggers) ?? [];
+  }
+
+  /** @override */
+  _prepareContext(_options) {
+    const triggers = this.triggers.map((trigger) => {
+      const reference = trigger.data?.vgmusic?.music?.trigger?.playlist;
+      return { ...trigger, playlist: resolvePlaylistReference(reference), usesValue: trigger.condition?.type === CONST.triggerConditions.setting };
+    });
+    const conditions = {
+      [CONST.triggerConditions.tokenTag]: 'VGMusic.Triggers.Conditions.TokenTag',
+      [CONST.triggerConditions.statusEffect]: 'VGMusic.Triggers.Conditions.StatusEffect',
+      [CONST.triggerConditions.journalOpen]: 'VGMusic.Triggers.Conditions.JournalOpen',
+      [CONST.triggerConditions.combatant]: 'VGMusic.Triggers.Conditions.Combatant',
+      [CONST.triggerConditions.setting]: 'VGMusic.Triggers.Conditions.Setting'
+    };
+    return { triggers, conditions };
+  }
+
+  /**
+   * Save the trigger rules, which re-renders this editor and refreshes the music
+   * @param {object[]} triggers - Trigger rules to store
+   */
+  async saveTriggers(triggers) {
+    await game.settings.set(CONST.moduleId, CONST.settings.triggers, triggers);
+  }
+
+  /**
+   * Add a new trigger rule
+   */
+  static async addTrigger() {
+    const name = game.i18n.format('VGMusic.Triggers.DefaultName', { number: this.triggers.length + 1 });
+    await this.saveTriggers([...this.triggers, createTrigger(name)]);
+  }
+
+  /**
+   * Delete a trigger rule
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static async deleteTrigger(_event, target) {
+    const triggerId = target.closest('[data-trigger-id]').dataset.triggerId;
+    await this.saveTriggers(this.triggers.filter((trigger) => trigger.id !== triggerId));
+  }
+
+  /**
+   * Open the music configuration of a trigger rule
+   * @param {Event} _event - The click event
+   * @param {HTMLElement} target - The target element
+   */
+  static configureMusic(_event, target) {
+    const triggerId = target.closest('[data-trigger-id]').dataset.triggerId;
+    const trigger = this.triggers.find((t) => t.id === triggerId);
+    if (trigger) new VGMusicConfig(trigger).render(true);
+  }
+
+  /**
+   * Handle form changes by storing the edited rules
+   * @param {Event} _event - The change event
+   * @param {HTMLFormElement} _form - The form element
+   * @param {object} formData - The form data
+   */
+  static async formHandler(_event, _form, formData) {
+    const changes = foundry.utils.expandObject(formData.object).triggers ?? {};
+    const triggers = this.triggers.map((trigger) => (changes[trigger.id] ? foundry.utils.mergeObject(trigger, changes[trigger.id], { inplace: false }) : trigger));
+    await this.saveTriggers(triggers);
+  }
+}
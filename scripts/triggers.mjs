@@ -0,0 +1,112 @@
+import { CONST } from './config.mjs';
+
+/**
+ * A GM-defined music trigger rule, stored in the triggers world setting
+ * @typedef {object} MusicTrigger
+ * @property {string} documentName - Always 'MusicTrigger'
+ * @property {string} id - Unique rule ID
+ * @property {string} name - Display name
+ * @property {boolean} enabled - Whether the rule is evaluated
+ * @property {{type: string, target: string, value: string}} condition - Condition from CONST.triggerConditions and its arguments
+ * @property {object} data - Music section data, stored like DefaultMusic under `data.vgmusic.music.trigger`
+ */
+
+/**
+ * Create a new trigger rule
+ * @param {string} name - Display name of the rule
+ * @returns {MusicTrigger} The new rule
+ */
+export function createTrigger(name) {
+  return {
+    documentName: 'MusicTrigger',
+    id: foundry.utils.randomID(),
+    name,
+    enabled: true,
+    condition: { type: CONST.triggerConditions.tokenTag, target: '', value: '' },
+    data: { vgmusic: { music: {} } }
+  };
+}
+
+/**
+ * Get the tags of a token, as stored by the Tagger module
+ * @param {TokenDocument} token - The token to check
+ * @returns {string[]} The token's tags
+ */
+export function getTokenTags(token) {
+  const tags = foundry.utils.getProperty(token, 'flags.tagger.tags');
+  if (Array.isArray(tags)) return tags;
+  return typeof tags === 'string' ? tags.split(',').map((tag) => tag.trim()) : [];
+}
+
+/**
+ * Check whether an application shows a journal entry or page
+ * @param {ApplicationV2} app - The application to check
+ * @param {JournalEntry|JournalEntryPage} document - The journal document
+ * @returns {boolean} True if the application is rendered and shows the document
+ */
+function showsJournal(app, document) {
+  if (!app.rendered) return false;
+  if (app.document === document) return true;
+  return document instanceof JournalEntryPage && app.document === document.parent && (app.pageId ?? document.id) === document.id;
+}
+
+/**
+ * Check whether a journal entry or page is open on this client
+ * @param {string} uuid - UUID of the journal entry or page
+ * @returns {boolean} True if a rendered sheet shows the document
+ */
+export function isJournalOpen(uuid) {
+  const document = uuid ? fromUuidSync(uuid) : null;
+  if (!document) return false;
+  return Array.from(foundry.applications.instances.values()).some((app) => showsJournal(app, document));
+}
+
+/**
+ * Check whether a world or client setting holds a value
+ * @param {string} settingKey - Full setting key as `namespace.key`
+ * @param {string} value - Expected value, compared as text
+ * @returns {boolean} True if the setting exists and holds the value
+ */
+export function isSettingEqual(settingKey, value) {
+  if (!game.settings.settings.has(settingKey)) return false;
+  const [namespace, ...key] = settingKey.split('.');
+  return String(game.settings.get(namespace, key.join('.'))) === String(value ?? '');
+}
+
+/**
+ * Check whether a combatant is the one a trigger targets
+ * @param {Combatant|undefined} combatant - The combatant to check
+ * @param {string} target - Combatant, token or actor UUID, or a combatant name
+ * @returns {boolean} True if the combatant matches
+ */
+function isTargetCombatant(combatant, target) {
+  if (!combatant || !target) return false;
+  return [combatant.uuid, combatant.token?.uuid, combatant.actor?.uuid, combatant.name].includes(target);
+}
+
+/**
+ * Check whether a trigger's condition is currently met
+ * @param {MusicTrigger} trigger - The trigger rule
+ * @param {object} state - Current game state
+ * @param {Scene|undefined} state.scene - The scene music plays for
+ * @param {Combat|undefined} state.combat - The current combat
+ * @returns {boolean} True if the condition is met
+ */
+export function isTriggerActive(trigger, { scene, combat }) {
+  const { type, target, value } = trigger.condition ?? {};
+  if (!target) return false;
+  switch (type) {
+    case CONST.triggerConditions.tokenTag:
+      return !!scene?.tokens.some((token) => getTokenTags(token).includes(target));
+    case CONST.triggerConditions.statusEffect:
+      return !!scene?.tokens.some((token) => token.actor?.statuses.has(target));
+    case CONST.triggerConditions.journalOpen:
+      return isJournalOpen(target);
+    case CONST.triggerConditions.combatant:
+      return !!combat?.started && isTargetCombatant(combat.combatant, target);
+    case CONST.triggerConditions.setting:
+      return isSettingEqual(target, value);
+    default:
+      return false;
+  }
+}
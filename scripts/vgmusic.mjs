@@ -1,33 +1,80 @@
 import { registerSettings, registerKeybindings } from './settings.mjs';
+import { VGMusicAPI } from './api.mjs';
 import { MusicController } from './music-controller.mjs';
+import { registerLoopingTracks } from './loops.mjs';
+import { registerSocket } from './socket.mjs';
 import {
+  getFolderContextOptions,
+  getPlaylistContextOptions,
+  getPlaylistSoundContextOptions,
   getSceneControlButtons,
+  handleActiveEffectChange,
   handleCanvasReady,
   handleDeleteCombat,
+  handleDeletePlaylist,
+  handleDeletePlaylistSound,
+  handleDeleteRegion,
+  handleJournalSheetChange,
   handleReady,
+  handleRegionConfigRender,
   handleSceneConfigRender,
   handleTokenConfigRender,
+  handleTokenPresenceChange,
+  handleTokenTriggerChange,
   handleUpdateActor,
   handleUpdateCombat,
+  handleUpdateCombatant,
+  handleUpdateFolder,
+  handleUpdatePlaylist,
+  handleUpdatePlaylistSound,
+  handleUpdateRegion,
   handleUpdateScene,
+  handleUpdateSetting,
   handleUpdateToken,
-  VGMusicConfig
+  handleUpdateWorldTime
 } from './app.mjs';
 
 Hooks.once('init', async () => {
   console.log('VGMusic | Initializing Video Game Music module');
-  game.vgmusic = { musicController: new MusicController(), VGMusicConfig: VGMusicConfig };
+  game.vgmusic = new VGMusicAPI(new MusicController());
   registerSettings();
   registerKeybindings();
+  registerSocket();
+  registerLoopingTracks();
   await loadTemplates(['modules/vgmusic/templates/music-config.hbs']);
 });
 Hooks.once('ready', handleReady);
 Hooks.on('getSceneControlButtons', getSceneControlButtons);
+Hooks.on('getPlaylistContextOptions', getPlaylistContextOptions);
+Hooks.on('getFolderContextOptions', getFolderContextOptions);
+Hooks.on('getPlaylistSoundContextOptions', getPlaylistSoundContextOptions);
 Hooks.on('renderSceneConfig', handleSceneConfigRender);
 Hooks.on('updateCombat', handleUpdateCombat);
+Hooks.on('updateCombatant', handleUpdateCombatant);
 Hooks.on('deleteCombat', handleDeleteCombat);
 Hooks.on('canvasReady', handleCanvasReady);
 Hooks.on('updateScene', handleUpdateScene);
+Hooks.on('updateWorldTime', handleUpdateWorldTime);
 Hooks.on('updateActor', handleUpdateActor);
+Hooks.on('updateFolder', handleUpdateFolder);
 Hooks.on('updateToken', handleUpdateToken);
 Hooks.on('renderTokenApplication', handleTokenConfigRender);
+Hooks.on('createToken', handleTokenPresenceChange);
+Hooks.on('deleteToken', handleTokenPresenceChange);
+Hooks.on('updateRegion', handleUpdateRegion);
+Hooks.on('deleteRegion', handleDeleteRegion);
+Hooks.on('renderRegionConfig', handleRegionConfigRender);
+Hooks.on('createToken', handleTokenTriggerChange);
+Hooks.on('deleteToken', handleTokenTriggerChange);
+Hooks.on('createActiveEffect', handleActiveEffectChange);
+Hooks.on('updateActiveEffect', handleActiveEffectChange);
+Hooks.on('deleteActiveEffect', handleActiveEffectChange);
+Hooks.on('renderJournalEntrySheet', handleJournalSheetChange);
+Hooks.on('closeJournalEntrySheet', handleJournalSheetChange);
+Hooks.on('renderJournalEntryPageSheet', handleJournalSheetChange);
+Hooks.on('closeJournalEntryPageSheet', handleJournalSheetChange);
+Hooks.on('updateSetting', handleUpdateSetting);
+Hooks.on('deletePlaylist', handleDeletePlaylist);
+Hooks.on('deletePlaylistSound', handleDeletePlaylistSound);
+Hooks.on('updatePlaylist', handleUpdatePlaylist);
+Hooks.on('updatePlaylistSound', handleUpdatePlaylistSound);